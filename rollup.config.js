@@ -59,5 +59,41 @@ export default [
       commonjs(),
       terser()
     ]
+  },
+
+  // DOM-free core for Node.js (ESM and CommonJS)
+  {
+    input: 'src/core.js',
+    output: [
+      {
+        file: 'dist/ppg-core.mjs',
+        format: 'esm',
+        sourcemap: true
+      },
+      {
+        file: 'dist/ppg-core.cjs',
+        format: 'cjs',
+        sourcemap: true
+      }
+    ],
+    plugins: [
+      resolve(),
+      commonjs()
+    ]
+  },
+
+  // Processing worker (opt-in worker mode)
+  {
+    input: 'src/worker/ppg.worker.js',
+    output: {
+      file: 'dist/ppg-worker.js',
+      format: 'iife',
+      sourcemap: true
+    },
+    plugins: [
+      resolve(),
+      commonjs(),
+      terser()
+    ]
   }
 ];
@@ -0,0 +1,246 @@
+/**
+ * Skewness and kurtosis of a signal segment
+ *
+ * @param {Float32Array} signal - Signal
+ * @param {number} start - First index
+ * @param {number} end - Index past the last sample
+ * @returns {Object} { skewness, kurtosis } (kurtosis is not excess: 3 for a Gaussian)
+ */
+function moments(signal, start, end) {
+  const n = end - start;
+  let mean = 0;
+  for (let i = start; i < end; i++) mean += signal[i];
+  mean /= n;
+
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (let i = start; i < end; i++) {
+    const d = signal[i] - mean;
+    const d2 = d * d;
+    m2 += d2;
+    m3 += d2 * d;
+    m4 += d2 * d2;
+  }
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+
+  if (m2 <= 0) return { skewness: 0, kurtosis: 0 };
+
+  return {
+    skewness: m3 / Math.pow(m2, 1.5),
+    kurtosis: m4 / (m2 * m2)
+  };
+}
+
+/**
+ * Artifact Detector for PPG signals
+ * Flags samples corrupted by finger motion using several cues:
+ * - sudden DC jumps in the raw channel mean
+ * - clipped (saturated or black) pixels in the region of interest
+ * - skewness and kurtosis signal quality indices over short segments
+ * - optional accelerometer input (DeviceMotionEvent)
+ * Flagged samples are widened by holdTime on both sides and kept as time segments
+ */
+export class ArtifactDetector {
+  /**
+   * Create an Artifact Detector
+   * @param {Object} options - Detection options
+   * @param {boolean} options.enabled - Detect artifacts (default true)
+   * @param {number} options.jumpThreshold - Relative DC change between samples that counts as a jump
+   * @param {number} options.clipThreshold - Fraction of clipped ROI pixels that flags a sample
+   * @param {number} options.kurtosisThreshold - Segments with higher kurtosis are flagged
+   * @param {number} options.skewnessThreshold - Segments with lower skewness are flagged
+   * @param {number} options.segmentDuration - SQI segment length in seconds
+   * @param {number} options.holdTime - Milliseconds masked around each flagged sample
+   * @param {number} options.accelerationThreshold - Acceleration change (m/s²) that flags motion
+   * @param {number} options.maxSegments - Number of artifact segments kept in history
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.jumpThreshold = options.jumpThreshold || 0.02;
+    this.clipThreshold = options.clipThreshold || 0.8;
+    this.kurtosisThreshold = options.kurtosisThreshold || 5;
+    this.skewnessThreshold = options.skewnessThreshold !== undefined ? options.skewnessThreshold : -0.5;
+    this.segmentDuration = options.segmentDuration || 2;
+    this.holdTime = options.holdTime !== undefined ? options.holdTime : 500;
+    this.accelerationThreshold = options.accelerationThreshold || 1.5;
+    this.maxSegments = options.maxSegments || 200;
+
+    this.reset();
+  }
+
+  /**
+   * Clear detection state and segment history
+   */
+  reset() {
+    this.previousDC = null;
+    this.previousAcceleration = null;
+    this.motionTimes = [];
+    this.segments = [];
+  }
+
+  /**
+   * Check a single sample for DC jumps, clipping and device motion
+   *
+   * @param {Object} sample - { timestamp, dc, clipped } where dc is the raw channel
+   *   mean (0-1) and clipped the fraction of clipped ROI pixels (null skips the DC
+   *   jump or clipping check)
+   * @returns {boolean} True if the sample is flagged
+   */
+  checkSample(sample) {
+    if (!this.enabled) return false;
+
+    let flagged = false;
+
+    if (sample.dc !== null && sample.dc !== undefined) {
+      if (this.previousDC !== null) {
+        const change = Math.abs(sample.dc - this.previousDC) / Math.max(this.previousDC, 1e-3);
+        if (change > this.jumpThreshold) flagged = true;
+      }
+      this.previousDC = sample.dc;
+    }
+
+    if (sample.clipped !== null && sample.clipped !== undefined && sample.clipped > this.clipThreshold) {
+      flagged = true;
+    }
+
+    if (this.isMotionAt(sample.timestamp)) flagged = true;
+
+    return flagged;
+  }
+
+  /**
+   * Add an accelerometer reading
+   * Motion is the change in acceleration between readings, so gravity cancels out
+   *
+   * @param {number} timestamp - Reading time in milliseconds (same clock as the frames)
+   * @param {Object} acceleration - { x, y, z } in m/s²
+   */
+  addMotion(timestamp, acceleration) {
+    if (!this.enabled || !acceleration) return;
+
+    const previous = this.previousAcceleration;
+    this.previousAcceleration = acceleration;
+    if (!previous) return;
+
+    const dx = (acceleration.x || 0) - (previous.x || 0);
+    const dy = (acceleration.y || 0) - (previous.y || 0);
+    const dz = (acceleration.z || 0) - (previous.z || 0);
+
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) > this.accelerationThreshold) {
+      this.motionTimes.push(timestamp);
+
+      // Readings older than ten seconds can no longer match a frame
+      const cutoff = timestamp - 10000;
+      while (this.motionTimes.length > 0 && this.motionTimes[0] < cutoff) {
+        this.motionTimes.shift();
+      }
+    }
+  }
+
+  /**
+   * Whether device motion was detected within holdTime of a timestamp
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {boolean}
+   */
+  isMotionAt(timestamp) {
+    return this.motionTimes.some(t => Math.abs(t - timestamp) <= this.holdTime);
+  }
+
+  /**
+   * Build the artifact mask of a uniformly sampled window
+   *
+   * @param {Float32Array} signal - Filtered AC window
+   * @param {Float32Array} flags - Per-sample flags resampled onto the window grid (> 0 = flagged)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startTime - Timestamp of the first sample in milliseconds
+   * @returns {Object} { mask, skewness, kurtosis } where mask is a Uint8Array (1 = artifact)
+   *   and skewness/kurtosis are the SQIs of the whole window
+   */
+  analyzeWindow(signal, flags, sampleRate, startTime) {
+    const n = signal.length;
+    const flagged = new Uint8Array(n);
+    const sqi = moments(signal, 0, n);
+
+    if (!this.enabled) {
+      return { mask: flagged, ...sqi };
+    }
+
+    for (let i = 0; i < n; i++) {
+      if (flags[i] > 0) flagged[i] = 1;
+    }
+
+    // Segment SQIs: spiky (high kurtosis) or inverted (negative skew) pulses
+    const segmentLength = Math.max(4, Math.round(this.segmentDuration * sampleRate));
+    for (let start = 0; start < n; start += segmentLength) {
+      const end = Math.min(n, start + segmentLength);
+      if (end - start < 4) break;
+
+      const segment = moments(signal, start, end);
+      if (segment.kurtosis > this.kurtosisThreshold || segment.skewness < this.skewnessThreshold) {
+        flagged.fill(1, start, end);
+      }
+    }
+
+    // Widen flagged samples by the hold time
+    const hold = Math.round((this.holdTime / 1000) * sampleRate);
+    const mask = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      if (flagged[i]) mask.fill(1, Math.max(0, i - hold), Math.min(n, i + hold + 1));
+    }
+
+    this.addSegments(mask, sampleRate, startTime);
+
+    return { mask, ...sqi };
+  }
+
+  /**
+   * Merge the masked runs of a window into the segment history
+   *
+   * @param {Uint8Array} mask - Window mask
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startTime - Timestamp of the first sample in milliseconds
+   */
+  addSegments(mask, sampleRate, startTime) {
+    const dt = 1000 / sampleRate;
+
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+
+      let j = i;
+      while (j + 1 < mask.length && mask[j + 1]) j++;
+
+      this.segments.push({ start: startTime + i * dt, end: startTime + j * dt });
+      i = j;
+    }
+
+    // Windows overlap, so runs repeat or extend segments already reported
+    this.segments.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const segment of this.segments) {
+      const last = merged[merged.length - 1];
+      if (last && segment.start <= last.end + dt) {
+        last.end = Math.max(last.end, segment.end);
+      } else {
+        merged.push(segment);
+      }
+    }
+
+    if (merged.length > this.maxSegments) {
+      merged.splice(0, merged.length - this.maxSegments);
+    }
+    this.segments = merged;
+  }
+
+  /**
+   * Get the artifact segments detected so far, oldest first
+   * @returns {Array} Segments { start, end } in milliseconds on the source clock
+   */
+  getSegments() {
+    return this.segments.map(segment => ({ ...segment }));
+  }
+}
+
+export default ArtifactDetector;
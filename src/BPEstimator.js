@@ -0,0 +1,324 @@
+import { LinearBPModel } from './LinearBPModel.js';
+import { QUALITY_GRADES } from './QualityAssessor.js';
+import { median } from './utils/helpers.js';
+
+const DAY = 86400000;
+const SERIAL_VERSION = 1;
+const LABEL = 'Experimental cuff-calibrated trend estimate, not a blood pressure measurement';
+
+/**
+ * Pulse features available to BP models
+ * Each takes the window metrics and the morphology template features and returns
+ * the value, or null when it is not available.
+ */
+export const BP_FEATURES = {
+  heartRate: (metrics) => (metrics.heartRate > 0 ? metrics.heartRate : null),
+  perfusionIndex: (metrics) => metrics.perfusionIndex,
+  riseTimeRatio: (metrics, template) => template.riseTime / template.duration,
+  pulseWidthRatio: (metrics, template) => template.pulseWidth / template.duration,
+  diastolicTimeRatio: (metrics, template) =>
+    (template.diastolicTime !== null ? template.diastolicTime / template.duration : null),
+  reflectionIndex: (metrics, template) => template.reflectionIndex,
+  areaRatio: (metrics, template) => template.areaRatio,
+  augmentationIndex: (metrics, template) => template.augmentationIndex,
+  stiffnessIndex: (metrics, template) => template.stiffnessIndex,
+  agingIndex: (metrics, template) => template.apg.agingIndex
+};
+
+// Model classes by serialised type
+const MODEL_TYPES = { linear: LinearBPModel };
+
+/**
+ * BP Estimator - EXPERIMENTAL cuff-calibrated blood pressure trend tracking
+ * Pulse shape, heart rate and timing ratios change with blood pressure, but
+ * the relation differs between people and drifts over time. Each user pairs the
+ * current pulse features with a cuff reading; a regression model fitted to these
+ * readings then tracks changes from them. Estimates are only produced while a
+ * calibration is fresh, carry 95% bounds that widen with calibration age, and
+ * are labelled experimental. Not for clinical use.
+ */
+export class BPEstimator {
+  /**
+   * Create a BP Estimator
+   * @param {Object} options - BP options
+   * @param {Array<string>} options.features - Feature names (keys of BP_FEATURES)
+   * @param {Object|null} options.model - Model with fit(points), predict(features) and toJSON();
+   *   null for a LinearBPModel on the features
+   * @param {string} options.minQuality - Lowest window quality whose features are used
+   * @param {number} options.historyLength - Windows of features combined into each estimate
+   * @param {number} options.calibrationExpiry - Days after the last cuff reading until estimates stop
+   * @param {number} options.drift - SD added per day since the last cuff reading (mmHg)
+   * @param {number} options.maxCalibrations - Cuff readings kept for fitting
+   */
+  constructor(options = {}) {
+    this.features = options.features || ['heartRate', 'riseTimeRatio', 'pulseWidthRatio'];
+    this.model = options.model || new LinearBPModel({ features: this.features });
+    this.minQuality = options.minQuality || 'Good';
+    this.historyLength = options.historyLength || 10;
+    this.calibrationExpiry = options.calibrationExpiry || 7;
+    this.drift = options.drift || 1.5;
+    this.maxCalibrations = options.maxCalibrations || 10;
+
+    this.calibrations = [];  // Cuff readings { time, systolic, diastolic, features }
+    this.history = [];       // Session summaries { time, systolic, diastolic, count }
+
+    const unknown = this.features.filter(name => !BP_FEATURES[name]);
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown BP features: ${unknown.join(', ')}`);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Register a model class for loading serialised models
+   * @param {string} type - Type written by the model's toJSON()
+   * @param {Object} ModelClass - Class (or object) with a static fromJSON(data)
+   */
+  static registerModel(type, ModelClass) {
+    MODEL_TYPES[type] = ModelClass;
+  }
+
+  /**
+   * Pulse features of a window
+   *
+   * @param {Object} metrics - Window metrics with morphology
+   * @returns {Object|null} Feature values by name, or null for windows below minQuality or
+   *   without a complete feature set
+   */
+  extractFeatures(metrics) {
+    if (QUALITY_GRADES.indexOf(metrics.qualityStatus) < QUALITY_GRADES.indexOf(this.minQuality)) return null;
+    const template = metrics.morphology && metrics.morphology.template;
+    if (!template) return null;
+
+    const features = {};
+    for (const name of this.features) {
+      const value = BP_FEATURES[name](metrics, template);
+      if (typeof value !== 'number' || !isFinite(value)) return null;
+      features[name] = value;
+    }
+    return features;
+  }
+
+  /**
+   * Add the features of a window
+   *
+   * @param {Object} metrics - Window metrics with morphology
+   * @param {number} [now=Date.now()] - Wall-clock time in milliseconds
+   * @returns {Object} Estimate (see estimate())
+   */
+  update(metrics, now = Date.now()) {
+    const features = this.extractFeatures(metrics);
+    if (features) {
+      this.recent.push(features);
+      if (this.recent.length > this.historyLength) this.recent.shift();
+    }
+
+    const estimate = this.estimate(now);
+    if (estimate.status === 'ok' && features) {
+      this.sessionEstimates.push(estimate);
+    }
+    return estimate;
+  }
+
+  /**
+   * Median features of the recent windows
+   * @returns {Object|null} Feature values by name, or null without usable windows
+   */
+  currentFeatures() {
+    if (this.recent.length === 0) return null;
+
+    const features = {};
+    this.features.forEach(name => {
+      features[name] = median(this.recent.map(entry => entry[name]));
+    });
+    return features;
+  }
+
+  /**
+   * Pair a cuff reading with the current pulse features and refit the model
+   * Take the reading while measuring (or right before), seated and at rest.
+   *
+   * @param {Object} reading - Cuff reading
+   * @param {number} reading.systolic - Systolic pressure (mmHg)
+   * @param {number} reading.diastolic - Diastolic pressure (mmHg)
+   * @param {number} [reading.time=Date.now()] - Time of the reading (ms since the epoch)
+   * @param {Object} [reading.features] - Pulse features to pair with (defaults to the current ones)
+   * @returns {Object} { calibrationCount, systolicSD, diastolicSD, expiresAt }
+   * @throws {RangeError} For implausible readings
+   * @throws {Error} When no pulse features are available
+   */
+  calibrate(reading) {
+    const { systolic, diastolic } = reading;
+    if (!(systolic >= 60 && systolic <= 260 && diastolic >= 30 && diastolic <= 160 && systolic > diastolic)) {
+      throw new RangeError('Cuff reading out of range (systolic 60-260, diastolic 30-160 mmHg, systolic above diastolic)');
+    }
+
+    const features = reading.features || this.currentFeatures();
+    if (!features) {
+      throw new Error('No pulse features yet: calibrate while measuring with good signal quality');
+    }
+
+    this.calibrations.push({ time: reading.time || Date.now(), systolic, diastolic, features });
+    this.calibrations.sort((a, b) => a.time - b.time);
+    if (this.calibrations.length > this.maxCalibrations) this.calibrations.shift();
+
+    this.model.fit(this.calibrations);
+
+    const fit = this.model.predict(features);
+    return {
+      calibrationCount: this.calibrations.length,
+      systolicSD: fit ? fit.systolicSD : null,
+      diastolicSD: fit ? fit.diastolicSD : null,
+      expiresAt: this.calibrations[this.calibrations.length - 1].time + this.calibrationExpiry * DAY
+    };
+  }
+
+  /**
+   * Current estimate
+   *
+   * @param {number} [now=Date.now()] - Wall-clock time in milliseconds
+   * @returns {Object} { status, systolic, diastolic, systolicLower, systolicUpper, diastolicLower,
+   *   diastolicUpper, calibrationAge, expiresIn, calibrationCount, experimental, label } with
+   *   status 'ok', 'uncalibrated', 'expired' or 'insufficient' (values null unless 'ok'); bounds
+   *   are 95% intervals and ages are in days
+   */
+  estimate(now = Date.now()) {
+    const last = this.calibrations[this.calibrations.length - 1];
+    const age = last ? Math.max(0, (now - last.time) / DAY) : null;
+    const result = {
+      status: 'uncalibrated',
+      systolic: null,
+      diastolic: null,
+      systolicLower: null,
+      systolicUpper: null,
+      diastolicLower: null,
+      diastolicUpper: null,
+      calibrationAge: age,
+      expiresIn: last ? this.calibrationExpiry - age : null,
+      calibrationCount: this.calibrations.length,
+      experimental: true,
+      label: LABEL
+    };
+    if (!last) return result;
+
+    if (age > this.calibrationExpiry) {
+      result.status = 'expired';
+      return result;
+    }
+
+    const features = this.recent.length >= Math.min(3, this.historyLength) ? this.currentFeatures() : null;
+    const prediction = features ? this.model.predict(features) : null;
+    if (!prediction) {
+      result.status = 'insufficient';
+      return result;
+    }
+
+    // Model residual plus drift since the calibration
+    const driftSD = this.drift * age;
+    const systolicSD = Math.sqrt(prediction.systolicSD * prediction.systolicSD + driftSD * driftSD);
+    const diastolicSD = Math.sqrt(prediction.diastolicSD * prediction.diastolicSD + driftSD * driftSD);
+
+    result.status = 'ok';
+    result.systolic = prediction.systolic;
+    result.diastolic = prediction.diastolic;
+    result.systolicLower = prediction.systolic - 1.96 * systolicSD;
+    result.systolicUpper = prediction.systolic + 1.96 * systolicSD;
+    result.diastolicLower = prediction.diastolic - 1.96 * diastolicSD;
+    result.diastolicUpper = prediction.diastolic + 1.96 * diastolicSD;
+    return result;
+  }
+
+  /**
+   * Close the current session and add its median estimate to the trend
+   * @param {number} [now=Date.now()] - Wall-clock time in milliseconds
+   * @returns {Object|null} Session summary { time, systolic, diastolic, count }, or null without estimates
+   */
+  endSession(now = Date.now()) {
+    const estimates = this.sessionEstimates;
+    this.sessionEstimates = [];
+    if (estimates.length === 0) return null;
+
+    const summary = {
+      time: now,
+      systolic: median(estimates.map(e => e.systolic)),
+      diastolic: median(estimates.map(e => e.diastolic)),
+      count: estimates.length
+    };
+    this.history.push(summary);
+    if (this.history.length > 365) this.history.shift();
+    return summary;
+  }
+
+  /**
+   * Blood pressure trend across sessions
+   * @returns {Object} { sessions, systolicSlope, diastolicSlope } with slopes in mmHg per day
+   *   (null with fewer than 3 sessions)
+   */
+  getTrend() {
+    const sessions = this.history.slice();
+    const slope = (key) => {
+      if (sessions.length < 3) return null;
+      const days = sessions.map(s => s.time / DAY);
+      const meanX = days.reduce((sum, v) => sum + v, 0) / days.length;
+      const meanY = sessions.reduce((sum, s) => sum + s[key], 0) / sessions.length;
+      let sxy = 0;
+      let sxx = 0;
+      sessions.forEach((s, i) => {
+        sxy += (days[i] - meanX) * (s[key] - meanY);
+        sxx += (days[i] - meanX) * (days[i] - meanX);
+      });
+      return sxx > 0 ? sxy / sxx : null;
+    };
+
+    return { sessions, systolicSlope: slope('systolic'), diastolicSlope: slope('diastolic') };
+  }
+
+  /**
+   * Serialisable state: cuff readings, fitted model and session trend
+   * Store it per user (e.g. in localStorage) and restore it with load().
+   * @returns {Object} { version, savedAt, features, calibrations, model, history }
+   */
+  toJSON() {
+    return {
+      version: SERIAL_VERSION,
+      savedAt: Date.now(),
+      features: this.features,
+      calibrations: this.calibrations,
+      model: this.model.toJSON(),
+      history: this.history
+    };
+  }
+
+  /**
+   * Restore state saved with toJSON()
+   * @param {Object|string} data - Saved state or its JSON text
+   * @throws {Error} For unsupported versions and unregistered model types
+   */
+  load(data) {
+    const saved = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!saved || saved.version !== SERIAL_VERSION) {
+      throw new Error('Unsupported BP model version');
+    }
+    const ModelClass = MODEL_TYPES[saved.model && saved.model.type];
+    if (!ModelClass) {
+      throw new Error(`Unknown BP model type "${saved.model && saved.model.type}" (see BPEstimator.registerModel())`);
+    }
+
+    this.features = saved.features;
+    this.model = ModelClass.fromJSON(saved.model);
+    this.calibrations = saved.calibrations || [];
+    this.history = saved.history || [];
+    this.reset();
+  }
+
+  /**
+   * Clear the features and estimates of the current session (calibration and trend are kept)
+   */
+  reset() {
+    this.recent = [];
+    this.sessionEstimates = [];
+  }
+}
+
+export default BPEstimator;
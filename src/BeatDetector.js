@@ -0,0 +1,211 @@
+import { movingAverage } from './utils/filters.js';
+
+/**
+ * Refine a peak position with parabolic interpolation
+ *
+ * @param {Float32Array} signal - Signal
+ * @param {number} idx - Index of the local maximum
+ * @returns {number} Fractional peak position
+ */
+function interpolatePeak(signal, idx) {
+  if (idx <= 0 || idx >= signal.length - 1) return idx;
+
+  const a = signal[idx - 1];
+  const b = signal[idx];
+  const c = signal[idx + 1];
+  const denom = a - 2 * b + c;
+
+  if (denom === 0) return idx;
+  return idx + 0.5 * (a - c) / denom;
+}
+
+/**
+ * Beat Detector for PPG signals
+ * Detects systolic peaks and pulse feet in the detrended AC signal using
+ * two moving averages (Elgendi et al., 2013) and builds the inter-beat interval series.
+ * The refractory period follows the expected interval, so the diastolic wave of a
+ * slow pulse is not taken for another beat.
+ */
+export class BeatDetector {
+  /**
+   * Create a Beat Detector
+   * @param {Object} options - Detection options
+   * @param {number} options.cardiacBandLow - Lower cardiac frequency (Hz), sets the longest valid IBI
+   * @param {number} options.cardiacBandHigh - Upper cardiac frequency (Hz), sets the shortest refractory period
+   * @param {number} options.refractoryRatio - Refractory period as a fraction of the expected interval
+   * @param {number} options.maxBeats - Number of beats kept in history
+   */
+  constructor(options = {}) {
+    this.cardiacBandLow = options.cardiacBandLow || 0.75;
+    this.cardiacBandHigh = options.cardiacBandHigh || 4.0;
+    this.refractoryRatio = options.refractoryRatio || 0.45;
+    this.maxBeats = options.maxBeats || 1000;
+
+    this.peakWindow = 0.111;   // Seconds, systolic peak duration
+    this.beatWindow = 0.667;   // Seconds, beat duration
+    this.offsetRatio = 0.02;   // Threshold offset relative to mean energy
+    this.diastolicRatio = 0.6; // Fraction of the expected interval in which a small peak is a diastolic wave
+    this.diastolicHeight = 0.5; // Height, relative to the previous peak, below which it is small
+
+    this.beats = [];
+  }
+
+  /**
+   * Detect beats in a uniformly sampled, detrended window
+   * Windows may overlap; beats already reported are not reported again
+   *
+   * @param {Float32Array} signal - Detrended AC signal window
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startTime - Timestamp of the first sample in milliseconds
+   * @param {number} [expectedInterval=0] - Expected inter-beat interval in ms (e.g. from the
+   *   spectral heart rate); 0 when unknown
+   * @returns {Array} Newly detected beats
+   */
+  process(signal, sampleRate, startTime, expectedInterval = 0) {
+    const dt = 1000 / sampleRate;
+    const minInterval = this.refractoryPeriod(expectedInterval);
+    const maxInterval = 1000 / this.cardiacBandLow;
+
+    const peaks = this.findPeaks(signal, sampleRate, expectedInterval);
+    const newBeats = [];
+    let last = this.beats.length > 0 ? this.beats[this.beats.length - 1] : null;
+
+    for (let k = 0; k < peaks.length; k++) {
+      const peak = peaks[k];
+      const timestamp = startTime + peak.position * dt;
+
+      if (last && timestamp - last.timestamp < minInterval) {
+        continue; // Already reported or within the refractory period
+      }
+
+      // Pulse foot: minimum between the previous peak and this one
+      const searchStart = k > 0 ?
+        peaks[k - 1].index :
+        Math.max(0, peak.index - Math.round(maxInterval / dt));
+      let footIdx = peak.index;
+      for (let i = peak.index; i >= searchStart; i--) {
+        if (signal[i] < signal[footIdx]) footIdx = i;
+      }
+
+      let ibi = null;
+      if (last) {
+        const interval = timestamp - last.timestamp;
+        if (interval <= maxInterval) {
+          ibi = Math.round(interval);
+        }
+      }
+
+      const beat = {
+        timestamp,
+        footTimestamp: startTime + footIdx * dt,
+        amplitude: signal[peak.index] - signal[footIdx],
+        ibi
+      };
+
+      newBeats.push(beat);
+      this.beats.push(beat);
+      last = beat;
+    }
+
+    if (this.beats.length > this.maxBeats) {
+      this.beats.splice(0, this.beats.length - this.maxBeats);
+    }
+
+    return newBeats;
+  }
+
+  /**
+   * Find systolic peaks in a window
+   *
+   * @param {Float32Array} signal - Detrended AC signal window
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} [expectedInterval=0] - Expected inter-beat interval in ms; 0 when unknown
+   * @returns {Array} Peaks { index, position } where position is sub-sample accurate
+   */
+  findPeaks(signal, sampleRate, expectedInterval = 0) {
+    const n = signal.length;
+    const peakWidth = Math.max(1, Math.round(this.peakWindow * sampleRate));
+    const beatWidth = Math.max(peakWidth + 1, Math.round(this.beatWindow * sampleRate));
+
+    // Emphasize the systolic upswing
+    const energy = new Float32Array(n);
+    let meanEnergy = 0;
+    for (let i = 0; i < n; i++) {
+      const v = signal[i] > 0 ? signal[i] : 0;
+      energy[i] = v * v;
+      meanEnergy += energy[i];
+    }
+    meanEnergy /= n;
+
+    const maPeak = movingAverage(energy, peakWidth);
+    const maBeat = movingAverage(energy, beatWidth);
+    const offset = this.offsetRatio * meanEnergy;
+
+    // Blocks of interest where the short average exceeds the long one
+    const peaks = [];
+    const minDistance = Math.round((this.refractoryPeriod(expectedInterval) * sampleRate) / 1000);
+    const diastolicDistance = Math.round((this.diastolicRatio * expectedInterval * sampleRate) / 1000);
+    let blockStart = -1;
+
+    for (let i = 0; i <= n; i++) {
+      const inBlock = i < n && maPeak[i] > maBeat[i] + offset;
+
+      if (inBlock && blockStart < 0) {
+        blockStart = i;
+      } else if (!inBlock && blockStart >= 0) {
+        // Skip narrow blocks and blocks cut off by the window edges
+        if (i - blockStart >= peakWidth && blockStart > 0 && i < n) {
+          let idx = blockStart;
+          for (let j = blockStart; j < i; j++) {
+            if (signal[j] > signal[idx]) idx = j;
+          }
+
+          const prev = peaks[peaks.length - 1];
+          if (prev && idx - prev.index < minDistance) {
+            if (signal[idx] > signal[prev.index]) {
+              peaks[peaks.length - 1] = { index: idx, position: interpolatePeak(signal, idx) };
+            }
+          } else if (prev && idx - prev.index < diastolicDistance &&
+              signal[idx] < this.diastolicHeight * signal[prev.index]) {
+            // Diastolic wave of the previous beat; early (premature) beats are usually taller
+          } else {
+            peaks.push({ index: idx, position: interpolatePeak(signal, idx) });
+          }
+        }
+        blockStart = -1;
+      }
+    }
+
+    return peaks;
+  }
+
+  /**
+   * Refractory period after a beat
+   * The diastolic peak follows the systolic one by well under refractoryRatio of
+   * the interval, so a peak within this period is the same beat. The period is kept
+   * short so that premature beats are still found
+   *
+   * @param {number} expectedInterval - Expected inter-beat interval in ms; 0 when unknown
+   * @returns {number} Refractory period in ms (at least the interval at cardiacBandHigh)
+   */
+  refractoryPeriod(expectedInterval) {
+    return Math.max(1000 / this.cardiacBandHigh, expectedInterval > 0 ? this.refractoryRatio * expectedInterval : 0);
+  }
+
+  /**
+   * Get detected beats
+   * @returns {Array} Beats { timestamp, footTimestamp, amplitude, ibi }
+   */
+  getBeats() {
+    return this.beats.slice();
+  }
+
+  /**
+   * Reset detector state
+   */
+  reset() {
+    this.beats = [];
+  }
+}
+
+export default BeatDetector;
@@ -0,0 +1,144 @@
+import { CameraSource } from './sources/CameraSource.js';
+import { ChannelExtractor } from './ChannelExtractor.js';
+import { analyzeSignal } from './analyze.js';
+import { listCameras, saveCameraChoice } from './utils/camera.js';
+import { CameraError } from './errors.js';
+
+/**
+ * Camera Calibrator - picks the camera with the strongest pulse
+ * Phones often have several rear lenses and only one sits next to the flash.
+ * Each rear camera is opened in turn with the torch on while the finger covers
+ * the lenses, and the one with the highest pulsatile SNR wins.
+ */
+export class CameraCalibrator {
+  /**
+   * Create a Camera Calibrator
+   * @param {Object} options - Monitor options (camera, extraction and signal sections are used)
+   */
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Try every rear camera and pick the best one
+   *
+   * @param {Object} [settings] - Calibration settings
+   * @param {number} [settings.duration=5] - Seconds recorded per camera
+   * @param {number} [settings.settleTime=1] - Seconds discarded after opening each camera
+   * @param {boolean} [settings.remember=true] - Remember the winner in localStorage
+   * @param {Function} [settings.onProgress] - Called before each camera with { camera, index, count }
+   * @returns {Promise<Object>} { deviceId, label, snr_dB, cameras } where cameras lists
+   *   every candidate with its snr_dB (null if it could not be measured)
+   */
+  async run(settings = {}) {
+    const { duration = 5, settleTime = 1, remember = true, onProgress } = settings;
+
+    const all = await listCameras();
+    const rear = all.filter(camera => camera.facing !== 'user');
+    const candidates = rear.length > 0 ? rear : all;
+    if (candidates.length === 0) {
+      throw new CameraError('NO_CAMERA', 'No camera found');
+    }
+
+    const cameras = [];
+    for (let index = 0; index < candidates.length; index++) {
+      const camera = candidates[index];
+      if (onProgress) onProgress({ camera, index, count: candidates.length });
+
+      let snr = null;
+      try {
+        snr = await this.measureCamera(camera.deviceId, duration, settleTime);
+      } catch (error) {
+        console.warn(`Camera ${camera.label || camera.deviceId} could not be measured:`, error);
+      }
+      cameras.push({ ...camera, snr_dB: snr });
+    }
+
+    const measured = cameras.filter(camera => camera.snr_dB !== null);
+    if (measured.length === 0) {
+      throw new CameraError('NO_CAMERA', 'No camera produced a usable signal');
+    }
+    const best = measured.reduce((a, b) => (b.snr_dB > a.snr_dB ? b : a));
+
+    if (remember) {
+      saveCameraChoice(best);
+    }
+
+    return { deviceId: best.deviceId, label: best.label, snr_dB: best.snr_dB, cameras };
+  }
+
+  /**
+   * Record one camera and compute the SNR of its pulse signal
+   *
+   * @param {string} deviceId - Camera device ID
+   * @param {number} duration - Seconds to record
+   * @param {number} settleTime - Seconds to discard first
+   * @returns {Promise<number|null>} SNR in dB, or null if too few frames arrived
+   */
+  async measureCamera(deviceId, duration, settleTime) {
+    const source = new CameraSource({ ...this.options.camera, deviceId, torch: true, remember: false });
+
+    try {
+      await source.open();
+      const { values, timestamps } = await this.record(source, duration, settleTime);
+      if (values.length < 32) return null;
+
+      // One window over the whole recording
+      const analysis = analyzeSignal(values, {
+        timestamps,
+        signal: { ...this.options.signal, windowLength: values.length, hopLength: values.length },
+        artifacts: { enabled: false }
+      });
+      return analysis.windows.length > 0 ? analysis.windows[0].snr_dB : null;
+    } finally {
+      source.close();
+    }
+  }
+
+  /**
+   * Collect the inverted channel mean of every frame
+   *
+   * @param {CameraSource} source - Open camera source
+   * @param {number} duration - Seconds to record
+   * @param {number} settleTime - Seconds to discard first
+   * @returns {Promise<Object>} { values, timestamps }
+   */
+  record(source, duration, settleTime) {
+    const extractor = new ChannelExtractor({ ...this.options.extraction, windowLength: 1 });
+    const channel = ['red', 'green', 'blue'].includes(extractor.channel) ? extractor.channel : 'red';
+    const values = [];
+    const timestamps = [];
+    let startTime = null;
+
+    // Give up on cameras that stop delivering frames
+    const deadline = performance.now() + (settleTime + duration) * 2000;
+
+    return new Promise(resolve => {
+      const step = () => {
+        if (performance.now() > deadline) {
+          resolve({ values, timestamps });
+          return;
+        }
+
+        const frame = source.readFrame();
+        if (frame) {
+          if (startTime === null) startTime = frame.timestamp;
+          const elapsed = (frame.timestamp - startTime) / 1000;
+
+          if (elapsed >= settleTime + duration) {
+            resolve({ values, timestamps });
+            return;
+          }
+          if (elapsed >= settleTime) {
+            values.push(1 - extractor.extract(frame.imageData)[channel]);
+            timestamps.push(frame.timestamp);
+          }
+        }
+        requestAnimationFrame(step);
+      };
+      requestAnimationFrame(step);
+    });
+  }
+}
+
+export default CameraCalibrator;
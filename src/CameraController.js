@@ -0,0 +1,244 @@
+import { CameraError } from './errors.js';
+
+/**
+ * First value that is neither null nor undefined
+ * @param {...*} values - Candidate values
+ * @returns {*} Value, or null if there is none
+ */
+function firstDefined(...values) {
+  const value = values.find(v => v !== null && v !== undefined);
+  return value !== undefined ? value : null;
+}
+
+/**
+ * Camera Controller for camera PPG
+ * Manages the image capture controls of a video track: torch, exposure, ISO,
+ * white balance and focus. Automatic exposure and white balance keep rescaling
+ * the image, which shows up as baseline drift, so they are locked while a
+ * finger is measured and released again when it is lifted.
+ *
+ * Each control is applied as its own advanced constraint set, so an unsupported
+ * control never blocks the others.
+ */
+export class CameraController {
+  /**
+   * Create a Camera Controller
+   * @param {Object} options - Camera control options
+   * @param {boolean} options.torch - Turn the torch on when the track is attached (default true)
+   * @param {boolean} options.lockExposure - Lock exposure time and ISO while measuring (default true)
+   * @param {boolean} options.lockWhiteBalance - Lock white balance while measuring (default true)
+   * @param {boolean} options.lockFocus - Lock focus at the closest distance (default true)
+   * @param {number|null} options.exposureTime - Fixed exposure time (track units, 100 µs); null keeps the current one
+   * @param {number|null} options.iso - Fixed ISO; null keeps the current one
+   * @param {number|null} options.colorTemperature - Fixed white balance in kelvin; null keeps the current one
+   */
+  constructor(options = {}) {
+    this.options = {
+      torch: options.torch !== false,
+      lockExposure: options.lockExposure !== false,
+      lockWhiteBalance: options.lockWhiteBalance !== false,
+      lockFocus: options.lockFocus !== false,
+      exposureTime: firstDefined(options.exposureTime),
+      iso: firstDefined(options.iso),
+      colorTemperature: firstDefined(options.colorTemperature)
+    };
+
+    this.track = null;
+    this.capabilities = {};
+    this.torch = this.options.torch;
+    this.locked = false;
+
+    this.handleUnmute = this.handleUnmute.bind(this);
+  }
+
+  /**
+   * Attach a video track and apply the current settings to it
+   * Called again with the new track after the camera restarts, which restores
+   * the torch and lock state
+   *
+   * @param {MediaStreamTrack} track - Camera video track
+   * @returns {Promise<void>}
+   */
+  async attach(track) {
+    this.detach();
+
+    this.track = track;
+    this.capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+
+    // Mobile browsers may drop the torch and manual settings when a muted track resumes
+    track.addEventListener('unmute', this.handleUnmute);
+
+    await this.apply();
+  }
+
+  /**
+   * Stop tracking the current video track
+   */
+  detach() {
+    if (this.track) {
+      this.track.removeEventListener('unmute', this.handleUnmute);
+    }
+    this.track = null;
+    this.capabilities = {};
+  }
+
+  /**
+   * Re-apply the settings when the track resumes
+   */
+  handleUnmute() {
+    this.apply();
+  }
+
+  /**
+   * Whether the track supports a control
+   * @param {string} name - Capability name (e.g. 'torch', 'exposureMode')
+   * @param {string} [mode] - Required mode for mode capabilities
+   * @returns {boolean}
+   */
+  supports(name, mode) {
+    const capability = this.capabilities[name];
+    if (capability === undefined) return false;
+    if (mode) return Array.isArray(capability) && capability.includes(mode);
+    return capability !== false;
+  }
+
+  /**
+   * Lock exposure, ISO and white balance at their current values (or the configured ones)
+   * Call once the image has adapted to the finger
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    this.locked = true;
+    await this.apply();
+  }
+
+  /**
+   * Return exposure and white balance to automatic mode
+   * @returns {Promise<void>}
+   */
+  async unlock() {
+    this.locked = false;
+    await this.apply();
+  }
+
+  /**
+   * Turn the torch on or off
+   * @param {boolean} enabled - Torch state
+   * @returns {Promise<void>}
+   */
+  async setTorch(enabled) {
+    if (!this.track) {
+      throw new Error('Camera is not running');
+    }
+    if (!this.supports('torch')) {
+      throw new CameraError('TORCH_UNAVAILABLE', 'The camera track has no torch capability');
+    }
+
+    this.torch = !!enabled;
+    await this.apply();
+  }
+
+  /**
+   * Build the advanced constraint sets for the current state
+   * @returns {Array} Constraint sets, one per control
+   */
+  buildConstraints() {
+    const settings = typeof this.track.getSettings === 'function' ? this.track.getSettings() : {};
+    const sets = [];
+
+    // Without getCapabilities() the torch is tried blindly
+    if (this.supports('torch') || (this.torch && !this.track.getCapabilities)) {
+      sets.push({ torch: this.torch });
+    }
+
+    if (this.options.lockExposure) {
+      if (this.locked && this.supports('exposureMode', 'manual')) {
+        const exposure = { exposureMode: 'manual' };
+        const exposureTime = firstDefined(this.options.exposureTime, settings.exposureTime);
+        if (exposureTime !== null && this.supports('exposureTime')) exposure.exposureTime = exposureTime;
+        sets.push(exposure);
+
+        const iso = firstDefined(this.options.iso, settings.iso);
+        if (iso !== null && this.supports('iso')) sets.push({ iso });
+      } else if (!this.locked && this.supports('exposureMode', 'continuous')) {
+        sets.push({ exposureMode: 'continuous' });
+      }
+    }
+
+    if (this.options.lockWhiteBalance) {
+      if (this.locked && this.supports('whiteBalanceMode', 'manual')) {
+        const whiteBalance = { whiteBalanceMode: 'manual' };
+        const colorTemperature = firstDefined(this.options.colorTemperature, settings.colorTemperature);
+        if (colorTemperature !== null && this.supports('colorTemperature')) {
+          whiteBalance.colorTemperature = colorTemperature;
+        }
+        sets.push(whiteBalance);
+      } else if (!this.locked && this.supports('whiteBalanceMode', 'continuous')) {
+        sets.push({ whiteBalanceMode: 'continuous' });
+      }
+    }
+
+    // A finger on the lens is as close as it gets, so focus does not wait for contact
+    if (this.options.lockFocus && this.supports('focusMode', 'manual')) {
+      const focus = { focusMode: 'manual' };
+      if (this.supports('focusDistance') && this.capabilities.focusDistance.min !== undefined) {
+        focus.focusDistance = this.capabilities.focusDistance.min;
+      }
+      sets.push(focus);
+    }
+
+    return sets;
+  }
+
+  /**
+   * Apply the current torch and lock state to the track
+   * @returns {Promise<void>}
+   */
+  async apply() {
+    if (!this.track || this.track.readyState === 'ended') return;
+
+    const advanced = this.buildConstraints();
+    if (advanced.length === 0) return;
+
+    try {
+      await this.track.applyConstraints({ advanced });
+    } catch (error) {
+      console.warn('Camera controls not applied:', error);
+    }
+  }
+
+  /**
+   * Report which controls are active
+   * @returns {Object} { torch, exposure, whiteBalance, focus, settings } where torch is
+   *   'on' | 'off' | 'unsupported', the others 'locked' | 'auto' | 'unsupported', and
+   *   settings holds the track's exposureTime, iso, colorTemperature and focusDistance
+   */
+  getStatus() {
+    const settings = this.track && typeof this.track.getSettings === 'function' ? this.track.getSettings() : {};
+
+    const mode = (name) => {
+      if (!this.capabilities[name] || settings[name] === undefined) return 'unsupported';
+      return settings[name] === 'manual' || settings[name] === 'single-shot' ? 'locked' : 'auto';
+    };
+
+    let torch = 'unsupported';
+    if (this.supports('torch')) {
+      torch = (settings.torch !== undefined ? settings.torch : this.torch) ? 'on' : 'off';
+    }
+
+    return {
+      torch,
+      exposure: mode('exposureMode'),
+      whiteBalance: mode('whiteBalanceMode'),
+      focus: mode('focusMode'),
+      settings: {
+        exposureTime: firstDefined(settings.exposureTime),
+        iso: firstDefined(settings.iso),
+        colorTemperature: firstDefined(settings.colorTemperature),
+        focusDistance: firstDefined(settings.focusDistance)
+      }
+    };
+  }
+}
+
+export default CameraController;
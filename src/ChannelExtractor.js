@@ -0,0 +1,261 @@
+const CHANNELS = ['red', 'green', 'blue'];
+
+/**
+ * Normalize a region of interest option
+ *
+ * @param {string|Object} roi - 'full', 'circle', 'grid', or { type, ... }
+ * @returns {Object} Region of interest description
+ */
+function normalizeRoi(roi) {
+  const spec = typeof roi === 'string' ? { type: roi } : { ...roi };
+
+  switch (spec.type) {
+    case 'circle':
+      return { type: 'circle', radius: spec.radius || 0.35 };
+    case 'grid':
+      return { type: 'grid', rows: spec.rows || 3, cols: spec.cols || 3 };
+    case 'rect':
+      return {
+        type: 'rect',
+        x: spec.x || 0,
+        y: spec.y || 0,
+        width: spec.width !== undefined ? spec.width : 1,
+        height: spec.height !== undefined ? spec.height : 1
+      };
+    default:
+      return { type: 'full' };
+  }
+}
+
+/**
+ * Channel Extractor for PPG frames
+ * Computes red, green and blue means over a region of interest (full frame,
+ * centre circle, custom rect, or a grid of tiles) and keeps a signal buffer per
+ * channel and tile so the best candidate can be selected by SNR
+ */
+export class ChannelExtractor {
+  /**
+   * Create a Channel Extractor
+   * @param {Object} options - Extraction options
+   * @param {string|Object} options.roi - 'full', 'circle', 'grid', or { type, radius | rows, cols | x, y, width, height }
+   *   (circle radius and rect coordinates are fractions of the frame size)
+   * @param {string} options.channel - 'red', 'green', 'blue', or 'auto' to select by SNR
+   * @param {number} options.windowLength - Signal buffer length in samples
+   */
+  constructor(options = {}) {
+    this.roi = normalizeRoi(options.roi || 'full');
+    this.channel = options.channel || 'red';
+    this.windowLength = options.windowLength || 300;
+    this.switchMargin = 1; // dB a candidate must win by before switching
+
+    const regionCount = this.roi.type === 'grid' ? this.roi.rows * this.roi.cols : 1;
+
+    this.candidates = [];
+    for (let region = 0; region < regionCount; region++) {
+      CHANNELS.forEach(channel => this.candidates.push({ channel, region }));
+    }
+
+    this.mask = null;
+    this.maskWidth = 0;
+    this.maskHeight = 0;
+
+    this.reset();
+  }
+
+  /**
+   * Clear signal buffers and selection
+   */
+  reset() {
+    this.buffers = this.candidates.map(() => new Float32Array(this.windowLength).fill(0.5));
+    this.scores = this.candidates.map(() => null);
+
+    // Start with the configured channel (red for 'auto') in the first region
+    const initialChannel = this.channel === 'auto' ? 'red' : this.channel;
+    this.selected = this.candidates.findIndex(c => c.channel === initialChannel);
+  }
+
+  /**
+   * Whether a candidate may be selected under the channel option
+   * @param {Object} candidate - { channel, region }
+   * @returns {boolean}
+   */
+  isEligible(candidate) {
+    return this.channel === 'auto' || candidate.channel === this.channel;
+  }
+
+  /**
+   * Build the pixel-to-region map for the frame size
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   */
+  buildMask(width, height) {
+    const mask = new Int16Array(width * height).fill(-1);
+    const roi = this.roi;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let region = -1;
+
+        if (roi.type === 'full') {
+          region = 0;
+        } else if (roi.type === 'circle') {
+          const dx = x + 0.5 - width / 2;
+          const dy = y + 0.5 - height / 2;
+          const r = roi.radius * Math.min(width, height);
+          region = dx * dx + dy * dy <= r * r ? 0 : -1;
+        } else if (roi.type === 'rect') {
+          const fx = x / width;
+          const fy = y / height;
+          region = fx >= roi.x && fx < roi.x + roi.width &&
+                   fy >= roi.y && fy < roi.y + roi.height ? 0 : -1;
+        } else if (roi.type === 'grid') {
+          const row = Math.min(roi.rows - 1, Math.floor((y * roi.rows) / height));
+          const col = Math.min(roi.cols - 1, Math.floor((x * roi.cols) / width));
+          region = row * roi.cols + col;
+        }
+
+        mask[y * width + x] = region;
+      }
+    }
+
+    this.mask = mask;
+    this.maskWidth = width;
+    this.maskHeight = height;
+  }
+
+  /**
+   * Compute channel means over the region of interest
+   *
+   * @param {ImageData} imageData - RGBA frame
+   * @returns {Object} { red, green, blue, regions, clipped } means normalized to 0-1;
+   *   regions holds the per-tile means and clipped the fraction of saturated or black pixels per channel
+   */
+  extract(imageData) {
+    const { width, height, data } = imageData;
+    if (!this.mask || this.maskWidth !== width || this.maskHeight !== height) {
+      this.buildMask(width, height);
+    }
+
+    const regionCount = this.candidates.length / CHANNELS.length;
+    const sums = new Float64Array(regionCount * 3);
+    const counts = new Uint32Array(regionCount);
+    const clipped = new Uint32Array(3);
+    const mask = this.mask;
+    const count = width * height;
+
+    for (let i = 0; i < count; i++) {
+      const region = mask[i];
+      if (region < 0) continue;
+
+      const p = i * 4;
+      const s = region * 3;
+      sums[s] += data[p];
+      sums[s + 1] += data[p + 1];
+      sums[s + 2] += data[p + 2];
+      counts[region]++;
+
+      // Saturated or black pixels carry no pulsatile information
+      for (let c = 0; c < 3; c++) {
+        const v = data[p + c];
+        if (v >= 255 || v <= 0) clipped[c]++;
+      }
+    }
+
+    const regions = [];
+    const total = [0, 0, 0];
+    let totalCount = 0;
+
+    for (let region = 0; region < regionCount; region++) {
+      const n = counts[region] * 255 || 1;
+      regions.push({
+        red: sums[region * 3] / n,
+        green: sums[region * 3 + 1] / n,
+        blue: sums[region * 3 + 2] / n
+      });
+      total[0] += sums[region * 3];
+      total[1] += sums[region * 3 + 1];
+      total[2] += sums[region * 3 + 2];
+      totalCount += counts[region];
+    }
+
+    const n = totalCount * 255 || 1;
+    const pixels = totalCount || 1;
+    return {
+      red: total[0] / n,
+      green: total[1] / n,
+      blue: total[2] / n,
+      regions,
+      clipped: {
+        red: clipped[0] / pixels,
+        green: clipped[1] / pixels,
+        blue: clipped[2] / pixels
+      }
+    };
+  }
+
+  /**
+   * Extract a frame and store every candidate signal at a buffer slot
+   *
+   * @param {ImageData} imageData - RGBA frame
+   * @param {number} slot - Buffer index
+   * @returns {Object} { value, channels } where value is the selected signal
+   *   (inverted, normalized channel mean) and channels holds the ROI means
+   */
+  update(imageData, slot) {
+    const channels = this.extract(imageData);
+
+    this.candidates.forEach((candidate, i) => {
+      this.buffers[i][slot] = 1 - channels.regions[candidate.region][candidate.channel];
+    });
+
+    return {
+      value: this.buffers[this.selected][slot],
+      channels
+    };
+  }
+
+  /**
+   * Select the candidate with the highest SNR
+   * The current candidate is kept unless another beats it by switchMargin dB
+   *
+   * @param {Array} scores - SNR in dB for each candidate
+   * @returns {boolean} True if the selection changed
+   */
+  select(scores) {
+    this.scores = scores.slice();
+
+    let best = this.selected;
+    this.candidates.forEach((candidate, i) => {
+      if (this.isEligible(candidate) && scores[i] > scores[best]) best = i;
+    });
+
+    if (best !== this.selected && scores[best] - scores[this.selected] >= this.switchMargin) {
+      this.selected = best;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Currently selected candidate
+   * @returns {Object} { channel, region }
+   */
+  getSelected() {
+    return this.candidates[this.selected];
+  }
+
+  /**
+   * SNR per channel for the selected region
+   * @returns {Object} { red, green, blue } in dB (null before the first window)
+   */
+  getChannelSNR() {
+    const region = this.getSelected().region;
+    const result = {};
+    this.candidates.forEach((candidate, i) => {
+      if (candidate.region === region) result[candidate.channel] = this.scores[i];
+    });
+    return result;
+  }
+}
+
+export default ChannelExtractor;
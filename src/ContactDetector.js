@@ -0,0 +1,187 @@
+/**
+ * Contact states, in the order a measurement goes through them
+ */
+export const CONTACT_STATES = ['noFinger', 'placing', 'settling', 'measuring', 'lost'];
+
+/**
+ * Contact Detector for camera PPG
+ * Decides per frame whether a finger covers the camera from red dominance,
+ * brightness and spatial uniformity, and drives the measurement state machine:
+ *
+ *   noFinger → placing → settling → measuring → lost
+ *
+ * placing waits for contact to hold for placingTime, settling lets exposure and
+ * the pulse settle for settlingTime, and lost returns to noFinger after lostTimeout
+ * (or back to placing if the finger comes back)
+ */
+export class ContactDetector {
+  /**
+   * Create a Contact Detector
+   * @param {Object} options - Contact options
+   * @param {boolean} options.enabled - Detect contact (when false every frame is measured)
+   * @param {number} options.minRedRatio - Minimum red share of the RGB sum (0-1)
+   * @param {number} options.minBrightness - Minimum mean red level (0-1)
+   * @param {number} options.maxVariation - Maximum coefficient of variation of red across tiles
+   * @param {number} options.placingTime - Milliseconds of contact before settling
+   * @param {number} options.settlingTime - Milliseconds of settling before measuring
+   * @param {number} options.lostTimeout - Milliseconds without contact before noFinger
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.minRedRatio = options.minRedRatio || 0.5;
+    this.minBrightness = options.minBrightness || 0.15;
+    this.maxVariation = options.maxVariation || 0.3;
+    this.placingTime = options.placingTime !== undefined ? options.placingTime : 500;
+    this.settlingTime = options.settlingTime !== undefined ? options.settlingTime : 2000;
+    this.lostTimeout = options.lostTimeout !== undefined ? options.lostTimeout : 2000;
+
+    this.gridSize = 4;   // Tiles per side for the uniformity check
+    this.stride = 4;     // Pixel step in each direction
+
+    this.reset();
+  }
+
+  /**
+   * Return to noFinger
+   */
+  reset() {
+    this.state = 'noFinger';
+    this.stateTime = null;
+    this.features = null;
+  }
+
+  /**
+   * Compute contact features of a frame on a subsampled pixel grid
+   *
+   * @param {ImageData} imageData - RGBA frame
+   * @returns {Object} { redRatio, brightness, variation, contact }
+   */
+  measure(imageData) {
+    const { width, height, data } = imageData;
+    const g = this.gridSize;
+    const tileSums = new Float64Array(g * g);
+    const tileCounts = new Uint32Array(g * g);
+    let red = 0;
+    let total = 0;
+    let count = 0;
+
+    for (let y = 0; y < height; y += this.stride) {
+      const row = Math.min(g - 1, Math.floor((y * g) / height));
+      for (let x = 0; x < width; x += this.stride) {
+        const p = (y * width + x) * 4;
+        const tile = row * g + Math.min(g - 1, Math.floor((x * g) / width));
+
+        red += data[p];
+        total += data[p] + data[p + 1] + data[p + 2];
+        tileSums[tile] += data[p];
+        tileCounts[tile]++;
+        count++;
+      }
+    }
+
+    const brightness = count > 0 ? red / (count * 255) : 0;
+    const redRatio = total > 0 ? red / total : 0;
+
+    // Coefficient of variation of the tile means
+    const means = [];
+    for (let i = 0; i < tileSums.length; i++) {
+      if (tileCounts[i] > 0) means.push(tileSums[i] / tileCounts[i]);
+    }
+    const mean = means.reduce((a, b) => a + b, 0) / (means.length || 1);
+    const variance = means.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (means.length || 1);
+    const variation = mean > 0 ? Math.sqrt(variance) / mean : Infinity;
+
+    return {
+      redRatio,
+      brightness,
+      variation,
+      contact: redRatio >= this.minRedRatio &&
+        brightness >= this.minBrightness &&
+        variation <= this.maxVariation
+    };
+  }
+
+  /**
+   * Advance the state machine with a frame
+   * Frames without pixels (sample sources) always count as measuring
+   *
+   * @param {Object} frame - { timestamp, imageData } or { timestamp, value }
+   * @returns {Object} { state, previousState, changed, features }
+   */
+  update(frame) {
+    const previousState = this.state;
+    const now = frame.timestamp;
+
+    if (!this.enabled || !frame.imageData) {
+      this.features = null;
+      this.setState('measuring', now);
+    } else {
+      this.features = this.measure(frame.imageData);
+      this.step(this.features.contact, now);
+    }
+
+    return {
+      state: this.state,
+      previousState,
+      changed: this.state !== previousState,
+      features: this.features
+    };
+  }
+
+  /**
+   * Apply one contact observation to the state machine
+   * @param {boolean} contact - Whether a finger covers the camera
+   * @param {number} now - Frame timestamp in milliseconds
+   */
+  step(contact, now) {
+    const elapsed = this.stateTime === null ? 0 : now - this.stateTime;
+
+    switch (this.state) {
+      case 'noFinger':
+        if (contact) this.setState('placing', now);
+        break;
+
+      case 'placing':
+        if (!contact) {
+          this.setState('noFinger', now);
+        } else if (elapsed >= this.placingTime) {
+          this.setState('settling', now);
+        }
+        break;
+
+      case 'settling':
+        if (!contact) {
+          this.setState('noFinger', now);
+        } else if (elapsed >= this.settlingTime) {
+          this.setState('measuring', now);
+        }
+        break;
+
+      case 'measuring':
+        if (!contact) this.setState('lost', now);
+        break;
+
+      case 'lost':
+        if (contact) {
+          this.setState('placing', now);
+        } else if (elapsed >= this.lostTimeout) {
+          this.setState('noFinger', now);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Enter a state
+   * @param {string} state - New state
+   * @param {number} now - Timestamp in milliseconds
+   */
+  setState(state, now) {
+    if (state !== this.state || this.stateTime === null) {
+      this.state = state;
+      this.stateTime = now;
+    }
+  }
+}
+
+export default ContactDetector;
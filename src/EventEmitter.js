@@ -0,0 +1,103 @@
+/**
+ * Event Emitter - minimal typed event subscription
+ * Listeners receive the event payload directly. A listener that throws is
+ * logged and does not stop the others (or the frame loop that emits).
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Add a listener
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event payload
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function');
+    }
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a listener (also one added with once())
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on() or once()
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  off(type, listener) {
+    const list = this.listeners.get(type);
+    if (!list) return this;
+
+    const index = list.findIndex(l => l === listener || l.listener === listener);
+    if (index >= 0) list.splice(index, 1);
+    if (list.length === 0) this.listeners.delete(type);
+    return this;
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event payload
+   * @returns {EventEmitter} This emitter, for chaining
+   */
+  once(type, listener) {
+    const wrapper = (data) => {
+      this.off(type, wrapper);
+      listener(data);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Whether an event type has listeners
+   * Lets callers skip building payloads nobody receives
+   *
+   * @param {string} type - Event type
+   * @returns {boolean}
+   */
+  hasListeners(type) {
+    return this.listeners.has(type);
+  }
+
+  /**
+   * Call the listeners of an event type
+   * @param {string} type - Event type
+   * @param {*} [data] - Event payload
+   */
+  emit(type, data) {
+    const list = this.listeners.get(type);
+    if (!list) return;
+
+    // Copy so listeners can unsubscribe while being called
+    list.slice().forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Error in "${type}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Remove all listeners, or all listeners of one type
+   * @param {string} [type] - Event type
+   */
+  removeAllListeners(type) {
+    if (type === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(type);
+    }
+  }
+}
+
+export default EventEmitter;
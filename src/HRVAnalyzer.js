@@ -0,0 +1,295 @@
+import { median } from './utils/helpers.js';
+
+/**
+ * Lomb-Scargle periodogram for unevenly sampled data
+ * Scaled as a one-sided power spectral density so that it integrates to the variance
+ *
+ * @param {Array} times - Sample times in seconds
+ * @param {Array} values - Sample values
+ * @param {Array} freqs - Frequencies to evaluate (Hz)
+ * @returns {Float64Array} PSD at each frequency (units²/Hz)
+ */
+export function lombScargle(times, values, freqs) {
+  const n = values.length;
+  const psd = new Float64Array(freqs.length);
+  if (n < 3) return psd;
+
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += values[i];
+  mean /= n;
+
+  const duration = times[n - 1] - times[0];
+
+  for (let k = 0; k < freqs.length; k++) {
+    const w = 2 * Math.PI * freqs[k];
+
+    // Time offset that makes sine and cosine terms orthogonal
+    let s2 = 0;
+    let c2 = 0;
+    for (let i = 0; i < n; i++) {
+      s2 += Math.sin(2 * w * times[i]);
+      c2 += Math.cos(2 * w * times[i]);
+    }
+    const tau = Math.atan2(s2, c2) / (2 * w);
+
+    let yc = 0;
+    let ys = 0;
+    let cc = 0;
+    let ss = 0;
+    for (let i = 0; i < n; i++) {
+      const arg = w * (times[i] - tau);
+      const c = Math.cos(arg);
+      const s = Math.sin(arg);
+      const y = values[i] - mean;
+      yc += y * c;
+      ys += y * s;
+      cc += c * c;
+      ss += s * s;
+    }
+
+    const power = 0.5 * ((yc * yc) / (cc + 1e-12) + (ys * ys) / (ss + 1e-12));
+    psd[k] = (2 * power * duration) / n;
+  }
+
+  return psd;
+}
+
+/**
+ * Heart Rate Variability Analyzer
+ * Computes time-domain, frequency-domain and Poincaré HRV metrics from
+ * inter-beat intervals after rejecting ectopic and artifact beats
+ */
+export class HRVAnalyzer {
+  /**
+   * Create an HRV Analyzer
+   * @param {Object} options - HRV options
+   * @param {number} options.windowDuration - Analysis window in seconds (most recent beats), 0 for all
+   * @param {number} options.minIbi - Shortest plausible interval (ms)
+   * @param {number} options.maxIbi - Longest plausible interval (ms)
+   * @param {number} options.ectopicThreshold - Max relative deviation from the local median interval
+   * @param {number} options.minFrequencyDuration - Minimum data length (s) for LF/HF
+   */
+  constructor(options = {}) {
+    this.windowDuration = options.windowDuration !== undefined ? options.windowDuration : 300;
+    this.minIbi = options.minIbi || 300;
+    this.maxIbi = options.maxIbi || 2000;
+    this.ectopicThreshold = options.ectopicThreshold || 0.2;
+    this.minFrequencyDuration = options.minFrequencyDuration || 60;
+
+    this.lfBand = [0.04, 0.15];
+    this.hfBand = [0.15, 0.4];
+    this.freqStep = 0.0025;
+  }
+
+  /**
+   * Analyze heart rate variability
+   *
+   * @param {Array} input - Beats { timestamp, ibi } from BeatDetector, or plain IBIs in ms
+   * @returns {Object} HRV metrics (null values where there is not enough data)
+   */
+  analyze(input) {
+    const series = this.toSeries(input);
+    const { nn, times, adjacent, rejected } = this.rejectArtifacts(series);
+
+    const result = {
+      nnCount: nn.length,
+      rejectedCount: rejected,
+      duration: nn.length > 0 ? times[times.length - 1] - times[0] + nn[0] / 1000 : 0,
+      meanNN: null,
+      sdnn: null,
+      rmssd: null,
+      pnn50: null,
+      lf: null,
+      hf: null,
+      lfHfRatio: null,
+      sd1: null,
+      sd2: null
+    };
+
+    if (nn.length < 2) return result;
+
+    Object.assign(result, this.timeDomain(nn, adjacent));
+    Object.assign(result, this.poincare(result.sdnn, nn, adjacent));
+
+    if (result.duration >= this.minFrequencyDuration) {
+      Object.assign(result, this.frequencyDomain(times, nn));
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert input to an interval series with beat times, restricted to the analysis window
+   *
+   * @param {Array} input - Beats or IBIs
+   * @returns {Object} { ibis, times } with times in seconds at the end of each interval
+   */
+  toSeries(input) {
+    let ibis = [];
+    let times = [];
+
+    if (input.length > 0 && typeof input[0] === 'object') {
+      for (const beat of input) {
+        if (beat.ibi !== null && beat.ibi !== undefined) {
+          ibis.push(beat.ibi);
+          times.push(beat.timestamp / 1000);
+        }
+      }
+    } else {
+      let t = 0;
+      for (const ibi of input) {
+        t += ibi / 1000;
+        ibis.push(ibi);
+        times.push(t);
+      }
+    }
+
+    if (this.windowDuration > 0 && times.length > 0) {
+      const cutoff = times[times.length - 1] - this.windowDuration;
+      const start = times.findIndex(t => t >= cutoff);
+      ibis = ibis.slice(start);
+      times = times.slice(start);
+    }
+
+    return { ibis, times };
+  }
+
+  /**
+   * Reject out-of-range and ectopic intervals
+   * An interval is ectopic if it deviates from the median of its neighbours
+   * by more than ectopicThreshold
+   *
+   * @param {Object} series - { ibis, times }
+   * @returns {Object} { nn, times, adjacent, rejected } where adjacent[i] marks nn[i] as
+   *   directly following nn[i - 1] in the original series
+   */
+  rejectArtifacts(series) {
+    const { ibis, times } = series;
+    const n = ibis.length;
+    const nn = [];
+    const nnTimes = [];
+    const adjacent = [];
+    let lastKept = -2;
+
+    for (let i = 0; i < n; i++) {
+      const ibi = ibis[i];
+      if (ibi < this.minIbi || ibi > this.maxIbi) continue;
+
+      const neighbours = [];
+      for (let j = Math.max(0, i - 2); j <= Math.min(n - 1, i + 2); j++) {
+        if (j !== i) neighbours.push(ibis[j]);
+      }
+      const reference = neighbours.length > 0 ? median(neighbours) : ibi;
+      if (Math.abs(ibi - reference) > this.ectopicThreshold * reference) continue;
+
+      // Intervals separated by a beat gap are not successive
+      const gap = i > 0 && times[i] - times[i - 1] > (ibi / 1000) * 1.5;
+
+      adjacent.push(lastKept === i - 1 && !gap);
+      nn.push(ibi);
+      nnTimes.push(times[i]);
+      lastKept = i;
+    }
+
+    return { nn, times: nnTimes, adjacent, rejected: n - nn.length };
+  }
+
+  /**
+   * Time-domain metrics
+   *
+   * @param {Array} nn - NN intervals (ms)
+   * @param {Array} adjacent - Successive-interval flags
+   * @returns {Object} { meanNN, sdnn, rmssd, pnn50 }
+   */
+  timeDomain(nn, adjacent) {
+    const n = nn.length;
+    const meanNN = nn.reduce((a, b) => a + b, 0) / n;
+
+    let sumSq = 0;
+    for (const x of nn) sumSq += (x - meanNN) * (x - meanNN);
+    const sdnn = Math.sqrt(sumSq / (n - 1));
+
+    const diffs = this.successiveDifferences(nn, adjacent);
+    let rmssd = null;
+    let pnn50 = null;
+    if (diffs.length > 0) {
+      rmssd = Math.sqrt(diffs.reduce((a, d) => a + d * d, 0) / diffs.length);
+      pnn50 = (diffs.filter(d => Math.abs(d) > 50).length / diffs.length) * 100;
+    }
+
+    return { meanNN, sdnn, rmssd, pnn50 };
+  }
+
+  /**
+   * Poincaré plot descriptors
+   *
+   * @param {number} sdnn - SDNN (ms)
+   * @param {Array} nn - NN intervals (ms)
+   * @param {Array} adjacent - Successive-interval flags
+   * @returns {Object} { sd1, sd2 }
+   */
+  poincare(sdnn, nn, adjacent) {
+    const diffs = this.successiveDifferences(nn, adjacent);
+    if (diffs.length < 2) return { sd1: null, sd2: null };
+
+    const meanDiff = diffs.reduce((a, b) => a + b, 0) / diffs.length;
+    let sumSq = 0;
+    for (const d of diffs) sumSq += (d - meanDiff) * (d - meanDiff);
+    const sdsdSq = sumSq / (diffs.length - 1);
+
+    const sd1 = Math.sqrt(0.5 * sdsdSq);
+    const sd2 = Math.sqrt(Math.max(0, 2 * sdnn * sdnn - 0.5 * sdsdSq));
+
+    return { sd1, sd2 };
+  }
+
+  /**
+   * Frequency-domain metrics using the Lomb-Scargle periodogram
+   *
+   * @param {Array} times - Interval times (s)
+   * @param {Array} nn - NN intervals (ms)
+   * @returns {Object} { lf, hf, lfHfRatio } with powers in ms²
+   */
+  frequencyDomain(times, nn) {
+    const freqs = [];
+    for (let f = this.lfBand[0]; f <= this.hfBand[1]; f += this.freqStep) {
+      freqs.push(f);
+    }
+
+    const psd = lombScargle(times, nn, freqs);
+
+    let lf = 0;
+    let hf = 0;
+    for (let k = 0; k < freqs.length; k++) {
+      const power = psd[k] * this.freqStep;
+      if (freqs[k] < this.lfBand[1]) {
+        lf += power;
+      } else {
+        hf += power;
+      }
+    }
+
+    return {
+      lf,
+      hf,
+      lfHfRatio: hf > 0 ? lf / hf : null
+    };
+  }
+
+  /**
+   * Differences between successive NN intervals
+   *
+   * @param {Array} nn - NN intervals (ms)
+   * @param {Array} adjacent - Successive-interval flags
+   * @returns {Array} Differences (ms)
+   */
+  successiveDifferences(nn, adjacent) {
+    const diffs = [];
+    for (let i = 1; i < nn.length; i++) {
+      if (adjacent[i]) diffs.push(nn[i] - nn[i - 1]);
+    }
+    return diffs;
+  }
+}
+
+export default HRVAnalyzer;
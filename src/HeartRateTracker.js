@@ -0,0 +1,93 @@
+/**
+ * Heart Rate Tracker - follows the heart rate across analysis windows
+ * A one-dimensional Kalman filter on the heart rate. Each window offers a few
+ * spectral peak candidates; the one that best explains both the prediction and
+ * the spectrum is taken as the measurement (a one-step Viterbi choice), so a
+ * brief motion peak or harmonic does not make the reading jump.
+ */
+export class HeartRateTracker {
+  /**
+   * Create a Heart Rate Tracker
+   * @param {Object} options - Tracking options
+   * @param {number} options.processNoise - Expected heart rate change (BPM per second, 1 SD)
+   * @param {number} options.measurementNoise - Spectral estimate noise (BPM, 1 SD) for a dominant peak
+   * @param {number} options.gate - Largest accepted jump from the prediction (BPM)
+   * @param {number} options.maxMisses - Consecutive rejected windows before re-acquiring
+   */
+  constructor(options = {}) {
+    this.processNoise = options.processNoise || 3;
+    this.measurementNoise = options.measurementNoise || 2;
+    this.gate = options.gate || 20;
+    this.maxMisses = options.maxMisses || 4;
+
+    this.reset();
+  }
+
+  /**
+   * Update the track with the spectral peaks of a window
+   *
+   * @param {Array} candidates - Peaks { frequency (Hz), power }, strongest first; the first
+   *   is used to acquire the track
+   * @param {number} dt - Seconds since the previous window
+   * @returns {Object} { heartRate, confidence } with heartRate in BPM (0 before acquisition)
+   *   and confidence from 0 to 1
+   */
+  update(candidates, dt) {
+    // Candidates are weighed by their share of the candidate power
+    const totalPower = candidates.reduce((sum, candidate) => sum + candidate.power, 0);
+    if (candidates.length === 0 || !(totalPower > 0)) {
+      this.misses++;
+      return { heartRate: this.heartRate, confidence: 0 };
+    }
+
+    // Acquire (or re-acquire after losing the track) on the strongest peak
+    if (this.heartRate === 0 || this.misses >= this.maxMisses) {
+      const first = candidates[0];
+      this.heartRate = first.frequency * 60;
+      this.variance = 4 * this.measurementNoise * this.measurementNoise;
+      this.misses = 0;
+      return { heartRate: this.heartRate, confidence: 0.5 * Math.min(1, first.power / totalPower) };
+    }
+
+    // Predict
+    this.variance += this.processNoise * this.processNoise * Math.max(dt, 0);
+
+    // Pick the candidate with the lowest combined distance and spectral cost
+    let best = null;
+    candidates.forEach(candidate => {
+      const share = Math.max(candidate.power / totalPower, 1e-3);
+      const noise = this.measurementNoise * this.measurementNoise / share;
+      const innovation = candidate.frequency * 60 - this.heartRate;
+      const spread = this.variance + noise;
+      const cost = (innovation * innovation) / spread + Math.log(spread) - 2 * Math.log(share);
+      if (!best || cost < best.cost) {
+        best = { innovation, noise, spread, share, cost };
+      }
+    });
+
+    if (Math.abs(best.innovation) > this.gate + 2 * Math.sqrt(this.variance)) {
+      this.misses++;
+      return { heartRate: this.heartRate, confidence: 0 };
+    }
+
+    // Correct
+    const gain = this.variance / best.spread;
+    this.heartRate += gain * best.innovation;
+    this.variance *= 1 - gain;
+    this.misses = 0;
+
+    const agreement = Math.exp(-0.5 * (best.innovation * best.innovation) / best.spread);
+    return { heartRate: this.heartRate, confidence: Math.min(1, best.share) * agreement };
+  }
+
+  /**
+   * Forget the track
+   */
+  reset() {
+    this.heartRate = 0;
+    this.variance = 0;
+    this.misses = 0;
+  }
+}
+
+export default HeartRateTracker;
@@ -0,0 +1,163 @@
+import { solveLinear } from './utils/linalg.js';
+
+// Typical change of each feature between readings, so the ridge penalty treats features alike
+const FEATURE_SCALES = {
+  heartRate: 10,
+  perfusionIndex: 0.5,
+  riseTimeRatio: 0.05,
+  pulseWidthRatio: 0.05,
+  diastolicTimeRatio: 0.05,
+  reflectionIndex: 10,
+  areaRatio: 0.1,
+  augmentationIndex: 10,
+  stiffnessIndex: 1,
+  agingIndex: 0.3
+};
+
+// Slopes (mmHg per scale unit) the fit is shrunk towards. Only the heart rate
+// dependence is assumed; shape features must be learned from several cuff readings.
+const PRIOR_WEIGHTS = {
+  systolic: { heartRate: 3 },
+  diastolic: { heartRate: 2 }
+};
+
+const TARGETS = ['systolic', 'diastolic'];
+
+/**
+ * Linear BP Model - ridge regression of blood pressure on pulse features
+ * Features are centred on the calibration readings, so the intercept is the
+ * mean cuff reading and the slopes describe changes from it. Slopes are shrunk
+ * towards population priors: one cuff reading only sets the offset, and further
+ * readings at different pressures let the slopes adapt. The residual SD is
+ * pooled with a prior SD (two pseudo-readings), so it stays realistic with few
+ * readings.
+ *
+ * A custom model passed to BPEstimator implements the same interface:
+ * fit(points), predict(features) and toJSON() with a type (see BPEstimator.registerModel()).
+ */
+export class LinearBPModel {
+  /**
+   * Create a Linear BP Model
+   * @param {Object} options - Model options
+   * @param {Array<string>} options.features - Feature names (see BP_FEATURES)
+   * @param {number} options.ridge - Shrinkage towards the prior slopes
+   * @param {Object} options.priorSD - Prior residual SD { systolic, diastolic } in mmHg
+   * @param {Object} options.scales - Per-feature scale overrides
+   * @param {Object} options.priors - Prior slopes { systolic: { feature: slope }, diastolic: { ... } }
+   * @param {Object|null} options.state - Fitted state (from toJSON())
+   */
+  constructor(options = {}) {
+    this.features = options.features || ['heartRate', 'riseTimeRatio', 'pulseWidthRatio'];
+    this.ridge = options.ridge || 2;
+    this.priorSD = options.priorSD || { systolic: 8, diastolic: 6 };
+    this.scales = { ...FEATURE_SCALES, ...(options.scales || {}) };
+    this.priors = options.priors || PRIOR_WEIGHTS;
+    this.state = options.state || null;
+  }
+
+  /**
+   * Fit the model to calibration readings
+   * @param {Array} points - Readings { features, systolic, diastolic }
+   */
+  fit(points) {
+    if (!Array.isArray(points) || points.length === 0) {
+      throw new Error('At least one calibration reading is needed');
+    }
+
+    const n = points.length;
+    const p = this.features.length;
+    const reference = {};
+    this.features.forEach(name => {
+      reference[name] = points.reduce((sum, point) => sum + point.features[name], 0) / n;
+    });
+    const Z = points.map(point => this.standardize(point.features, reference));
+
+    const state = { reference, count: n };
+    TARGETS.forEach(target => {
+      const prior = this.features.map(name => (this.priors[target] && this.priors[target][name]) || 0);
+      const y = points.map(point => point[target]);
+      const mean = y.reduce((sum, v) => sum + v, 0) / n;
+
+      // Minimise |y - mean - Z w|² + ridge |w - prior|²
+      const A = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => (i === j ? this.ridge : 0)));
+      const b = prior.map(w => this.ridge * w);
+      Z.forEach((z, k) => {
+        for (let i = 0; i < p; i++) {
+          b[i] += z[i] * (y[k] - mean);
+          for (let j = 0; j < p; j++) A[i][j] += z[i] * z[j];
+        }
+      });
+      const weights = solveLinear(A, b) || prior;
+
+      let sse = 0;
+      Z.forEach((z, k) => {
+        const residual = y[k] - mean - z.reduce((sum, v, i) => sum + v * weights[i], 0);
+        sse += residual * residual;
+      });
+      const priorSD = this.priorSD[target];
+
+      state[target] = {
+        intercept: mean,
+        weights,
+        residualSD: Math.sqrt((2 * priorSD * priorSD + sse) / (2 + n - 1))
+      };
+    });
+
+    this.state = state;
+  }
+
+  /**
+   * Predict blood pressure
+   * @param {Object} features - Feature values by name
+   * @returns {Object|null} { systolic, diastolic, systolicSD, diastolicSD } in mmHg, or null before fit()
+   */
+  predict(features) {
+    if (!this.state) return null;
+
+    const z = this.standardize(features, this.state.reference);
+    const result = {};
+    TARGETS.forEach(target => {
+      const fitted = this.state[target];
+      result[target] = fitted.intercept + z.reduce((sum, v, i) => sum + v * fitted.weights[i], 0);
+      result[`${target}SD`] = fitted.residualSD;
+    });
+    return result;
+  }
+
+  /**
+   * Centre and scale a feature vector
+   * @param {Object} features - Feature values by name
+   * @param {Object} reference - Centre by name
+   * @returns {Array<number>} Standardised values in feature order
+   */
+  standardize(features, reference) {
+    return this.features.map(name => (features[name] - reference[name]) / (this.scales[name] || 1));
+  }
+
+  /**
+   * Serialisable model
+   * @returns {Object} { type: 'linear', features, ridge, priorSD, scales, priors, state }
+   */
+  toJSON() {
+    return {
+      type: 'linear',
+      features: this.features,
+      ridge: this.ridge,
+      priorSD: this.priorSD,
+      scales: this.scales,
+      priors: this.priors,
+      state: this.state
+    };
+  }
+
+  /**
+   * Restore a serialised model
+   * @param {Object} data - Output of toJSON()
+   * @returns {LinearBPModel}
+   */
+  static fromJSON(data) {
+    return new LinearBPModel(data);
+  }
+}
+
+export default LinearBPModel;
@@ -0,0 +1,165 @@
+import { HRVAnalyzer } from './HRVAnalyzer.js';
+import { QUALITY_GRADES } from './QualityAssessor.js';
+import { median } from './utils/helpers.js';
+
+/**
+ * Measurement Session - a fixed-duration guided reading
+ * Counts only time with finger contact, no motion and quality at or above the
+ * target; the measurement pauses while quality is too low and completes once
+ * enough usable time has been collected
+ */
+export class MeasurementSession {
+  /**
+   * Create a measurement session
+   * @param {Object} options - Measurement options
+   * @param {number} options.duration - Seconds of usable signal to collect (default 30)
+   * @param {string|number} options.minQuality - Minimum quality status ('Poor', 'Fair', 'Good',
+   *   'Excellent') or minimum SNR in dB (default 'Good')
+   * @param {number} options.timeout - Seconds before giving up (default 4 × duration)
+   * @param {Object} options.hrv - HRV options for the report
+   */
+  constructor(options = {}) {
+    this.duration = options.duration || 30;
+    this.minQuality = options.minQuality !== undefined ? options.minQuality : 'Good';
+    this.timeout = options.timeout || this.duration * 4;
+    this.hrvAnalyzer = new HRVAnalyzer({ ...options.hrv, windowDuration: 0 });
+
+    this.maxFrameGap = 200; // ms; longer gaps (dropped frames, pauses) are not counted
+
+    this.startTimestamp = null;
+    this.lastTimestamp = null;
+    this.usableTime = 0;      // ms
+    this.elapsedTime = 0;     // ms
+    this.paused = true;
+    this.spans = [];          // Usable time spans { start, end } in ms
+    this.windows = [];        // Metrics of windows analysed while usable
+    this.beats = [];
+  }
+
+  /**
+   * Whether metrics meet the quality target
+   * @param {Object} metrics - Window metrics
+   * @returns {boolean}
+   */
+  meetsQuality(metrics) {
+    if (typeof this.minQuality === 'number') {
+      return metrics.snr_dB >= this.minQuality;
+    }
+    return QUALITY_GRADES.indexOf(metrics.qualityStatus) >= QUALITY_GRADES.indexOf(this.minQuality);
+  }
+
+  /**
+   * Account for a processed frame
+   *
+   * @param {Object} result - Pipeline result { timestamp, state, isSignal, metrics, beats }
+   * @param {Object} metrics - Latest metrics
+   * @returns {boolean} True once the usable duration or the timeout is reached
+   */
+  update(result, metrics) {
+    const t = result.timestamp;
+    if (this.startTimestamp === null) {
+      this.startTimestamp = t;
+      this.lastTimestamp = t;
+    }
+
+    const dt = t - this.lastTimestamp;
+    this.lastTimestamp = t;
+    this.elapsedTime = t - this.startTimestamp;
+
+    const usable = result.state === 'measuring' &&
+      result.isSignal === 1 &&
+      !metrics.motionDetected &&
+      this.meetsQuality(metrics);
+    this.paused = !usable;
+
+    if (usable && dt > 0 && dt <= this.maxFrameGap) {
+      this.usableTime += dt;
+
+      const last = this.spans[this.spans.length - 1];
+      if (last && t - dt <= last.end) {
+        last.end = t;
+      } else {
+        this.spans.push({ start: t - dt, end: t });
+      }
+    }
+
+    if (result.metrics && usable) {
+      this.windows.push(result.metrics);
+    }
+
+    // Beats are reported after their window is analysed, so match them to past spans
+    result.beats.forEach(beat => {
+      if (this.spans.some(span => beat.timestamp >= span.start && beat.timestamp <= span.end)) {
+        this.beats.push(beat);
+      }
+    });
+
+    return this.usableTime >= this.duration * 1000 || this.elapsedTime >= this.timeout * 1000;
+  }
+
+  /**
+   * Measurement progress
+   * @returns {Object} { progress, usableTime, elapsedTime, paused } with progress 0-1 and times in seconds
+   */
+  getProgress() {
+    return {
+      progress: Math.min(1, this.usableTime / (this.duration * 1000)),
+      usableTime: this.usableTime / 1000,
+      elapsedTime: this.elapsedTime / 1000,
+      paused: this.paused
+    };
+  }
+
+  /**
+   * Build the final report
+   *
+   * @param {string} [stopReason] - Reason the measurement ended early (e.g. monitor stopped)
+   * @returns {Object} Report { passed, reason, heartRate, heartRateRange, hrv, snr_dB,
+   *   perfusionIndex, respiratoryRate, usablePercent, usableTime, elapsedTime, beatCount }
+   */
+  getReport(stopReason) {
+    const complete = this.usableTime >= this.duration * 1000;
+    const ibis = this.beats.filter(beat => beat.ibi !== null).map(beat => beat.ibi);
+    const rates = this.windows.map(w => w.heartRate).filter(hr => hr > 0);
+    const mean = (key) => this.windows.length > 0 ?
+      this.windows.reduce((sum, w) => sum + w[key], 0) / this.windows.length :
+      null;
+
+    let heartRate = null;
+    if (ibis.length > 0) {
+      heartRate = Math.round(60000 / median(ibis));
+    } else if (rates.length > 0) {
+      heartRate = Math.round(median(rates));
+    }
+
+    const respiratory = this.windows.map(w => w.respiratoryRate).filter(rr => rr !== null && rr !== undefined);
+
+    let reason;
+    if (stopReason) {
+      reason = stopReason;
+    } else if (!complete) {
+      reason = `Timed out with ${Math.round(this.usableTime / 1000)} of ${this.duration} s of usable signal`;
+    } else if (heartRate === null) {
+      reason = 'No heartbeat detected';
+    } else {
+      reason = 'Measurement complete';
+    }
+
+    return {
+      passed: complete && heartRate !== null && !stopReason,
+      reason,
+      heartRate,
+      heartRateRange: rates.length > 0 ? { min: Math.min(...rates), max: Math.max(...rates) } : null,
+      hrv: this.hrvAnalyzer.analyze(this.beats),
+      snr_dB: mean('snr_dB'),
+      perfusionIndex: mean('perfusionIndex'),
+      respiratoryRate: respiratory.length > 0 ? respiratory[respiratory.length - 1] : null,
+      usablePercent: this.elapsedTime > 0 ? (this.usableTime / this.elapsedTime) * 100 : 0,
+      usableTime: this.usableTime / 1000,
+      elapsedTime: this.elapsedTime / 1000,
+      beatCount: this.beats.length
+    };
+  }
+}
+
+export default MeasurementSession;
@@ -0,0 +1,354 @@
+import { correlation } from './utils/sqi.js';
+import { upsampleCubic } from './utils/resample.js';
+import { median } from './utils/helpers.js';
+
+/**
+ * Time-normalise a segment to a given length by linear interpolation
+ *
+ * @param {Float32Array} segment - Samples
+ * @param {number} length - Output length
+ * @returns {Float32Array} Stretched segment
+ */
+function stretch(segment, length) {
+  const out = new Float32Array(length);
+  const scale = (segment.length - 1) / (length - 1);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * scale;
+    const j = Math.min(Math.floor(position), segment.length - 2);
+    const frac = position - j;
+    out[i] = segment[j] + frac * (segment[j + 1] - segment[j]);
+  }
+
+  return out;
+}
+
+/**
+ * Central-difference derivative
+ *
+ * @param {Float32Array} signal - Uniformly sampled signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Derivative per second
+ */
+function derivative(signal, sampleRate) {
+  const n = signal.length;
+  const out = new Float32Array(n);
+  for (let i = 1; i < n - 1; i++) {
+    out[i] = ((signal[i + 1] - signal[i - 1]) * sampleRate) / 2;
+  }
+  out[0] = (signal[1] - signal[0]) * sampleRate;
+  out[n - 1] = (signal[n - 1] - signal[n - 2]) * sampleRate;
+  return out;
+}
+
+/**
+ * Alternating local extrema after a starting point
+ * Excursions smaller than the tolerance are ignored, so a wiggle does not split a wave
+ *
+ * @param {Float32Array} signal - Signal
+ * @param {Object} first - Starting extremum { index, type: 'min' | 'max' }
+ * @param {number} end - Last index searched
+ * @param {number} tolerance - Smallest excursion counted as an extremum
+ * @returns {Array} Extrema { index, type } after first, alternating in type
+ */
+function turningPoints(signal, first, end, tolerance) {
+  const kept = [first];
+
+  for (let i = first.index + 1; i < end; i++) {
+    const before = signal[i] - signal[i - 1];
+    const after = signal[i + 1] - signal[i];
+    let type = null;
+    if (before > 0 && after <= 0) type = 'max';
+    if (before < 0 && after >= 0) type = 'min';
+    if (!type) continue;
+
+    const last = kept[kept.length - 1];
+    if (type === last.type) {
+      // A skipped wiggle in between: keep the more extreme of the two
+      if (type === 'max' ? signal[i] > signal[last.index] : signal[i] < signal[last.index]) {
+        kept[kept.length - 1] = { index: i, type };
+      }
+    } else if (Math.abs(signal[i] - signal[last.index]) >= tolerance) {
+      kept.push({ index: i, type });
+    }
+  }
+
+  return kept.slice(1);
+}
+
+/**
+ * Morphology Analyzer - pulse waveform features
+ * Pulses are cut from foot to foot, and features are computed for every beat and
+ * for an ensemble template: beats are stretched to the median beat length,
+ * averaged, and beats that correlate poorly with the average are left out of
+ * the final template. Each pulse is upsampled with cubic interpolation before
+ * the first (VPG) and second (APG) derivatives are taken.
+ *
+ * Features (times in ms from the pulse foot):
+ * - riseTime: foot to systolic peak
+ * - pulseWidth: width at half amplitude
+ * - notchTime, notchType: dicrotic notch, a local minimum or, when the notch is
+ *   only an inflection, the APG e wave
+ * - diastolicTime: diastolic peak (or the shallowest downslope after an inflection notch)
+ * - reflectionIndex: diastolic / systolic amplitude (%)
+ * - stiffnessIndex: subject height / systolic-to-diastolic time (m/s, needs height)
+ * - augmentationIndex: (P2 - P1) / pulse amplitude (%) with P1 and P2 at the APG b and d waves
+ * - areaRatio: area after the notch / area before it (inflection point area ratio)
+ * - apg: b/a, c/a, d/a and e/a wave ratios and the aging index (b - c - d - e) / a
+ */
+export class MorphologyAnalyzer {
+  /**
+   * Create a Morphology Analyzer
+   * @param {Object} options - Morphology options
+   * @param {number} options.upsampleRate - Interpolated sample rate for the derivatives (Hz)
+   * @param {number} options.minCorrelation - Smallest beat-to-template correlation kept in the template
+   * @param {number} options.minBeats - Consistent beats needed for a template
+   * @param {number|null} options.height - Subject height in metres for the stiffness index
+   */
+  constructor(options = {}) {
+    this.upsampleRate = options.upsampleRate || 250;
+    this.minCorrelation = options.minCorrelation || 0.8;
+    this.minBeats = options.minBeats || 3;
+    this.height = options.height || null;
+
+    this.reset();
+  }
+
+  /**
+   * Analyse the pulses of a window
+   * Beats are reported once: a beat already returned by an earlier, overlapping
+   * window is not returned again
+   *
+   * @param {Float32Array} signal - Detrended, band-limited pulse signal (systolic peaks upward)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Array<number>} peaks - Systolic peak indices in the signal
+   * @param {number} [startTime=0] - Timestamp of the first sample in milliseconds
+   * @param {Uint8Array} [mask] - Artifact mask; beats touching masked samples are skipped
+   * @returns {Object} { template, beats } where template holds the features of the ensemble
+   *   template with its beatCount (null with too few consistent beats) and beats the features
+   *   of each new beat with its foot timestamp and correlation to the template
+   */
+  analyze(signal, sampleRate, peaks, startTime = 0, mask = null) {
+    // Pulse feet: the minimum between consecutive peaks
+    const feet = [];
+    for (let k = 1; k < peaks.length; k++) {
+      let foot = peaks[k - 1];
+      for (let i = peaks[k - 1]; i <= peaks[k]; i++) {
+        if (signal[i] < signal[foot]) foot = i;
+      }
+      feet.push(foot);
+    }
+
+    const segments = [];
+    for (let k = 1; k < feet.length; k++) {
+      if (mask && mask.subarray(feet[k - 1], feet[k] + 1).includes(1)) continue;
+      segments.push({ start: feet[k - 1], samples: signal.subarray(feet[k - 1], feet[k] + 1) });
+    }
+
+    const dt = 1000 / sampleRate;
+    const template = this.buildTemplate(segments);
+    this.template = template ? template.waveform : null;
+    this.templateRate = template ? sampleRate : 0;
+
+    const beats = [];
+    segments.forEach(segment => {
+      const timestamp = startTime + segment.start * dt;
+      const duration = (segment.samples.length - 1) * dt;
+      if (this.lastTimestamp !== null && timestamp - this.lastTimestamp < 0.5 * duration) return;
+
+      const features = this.analyzeBeat(segment.samples, sampleRate);
+      if (!features) return;
+
+      beats.push({
+        timestamp,
+        correlation: template ? correlation(stretch(segment.samples, template.waveform.length), template.waveform) : null,
+        ...features
+      });
+      this.lastTimestamp = timestamp;
+    });
+
+    const features = template ? this.analyzeBeat(template.waveform, sampleRate) : null;
+
+    return {
+      template: features ? { ...features, beatCount: template.beatCount } : null,
+      beats
+    };
+  }
+
+  /**
+   * Average beats into an ensemble template
+   *
+   * @param {Array} segments - Pulses { start, samples } from foot to foot
+   * @returns {Object|null} { waveform, beatCount }, or null with too few consistent beats
+   */
+  buildTemplate(segments) {
+    if (segments.length < this.minBeats) return null;
+
+    const length = Math.round(median(segments.map(segment => segment.samples.length)));
+    if (length < 4) return null;
+
+    // Beats far from the median length are premature or merged beats
+    const stretched = segments
+      .filter(segment => Math.abs(segment.samples.length - length) <= 0.25 * length)
+      .map(segment => stretch(segment.samples, length));
+
+    const average = (beats) => {
+      const waveform = new Float32Array(length);
+      beats.forEach(beat => {
+        for (let i = 0; i < length; i++) waveform[i] += beat[i] / beats.length;
+      });
+      return waveform;
+    };
+
+    if (stretched.length < this.minBeats) return null;
+    const initial = average(stretched);
+    const consistent = stretched.filter(beat => correlation(beat, initial) >= this.minCorrelation);
+    if (consistent.length < this.minBeats) return null;
+
+    return { waveform: average(consistent), beatCount: consistent.length };
+  }
+
+  /**
+   * Features of a single pulse
+   *
+   * @param {Float32Array|Array} pulse - One pulse from foot to the next foot (systolic peak upward)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object|null} { duration, amplitude, riseTime, pulseWidth, maxSlopeTime, notchType,
+   *   notchTime, diastolicTime, reflectionIndex, stiffnessIndex, augmentationIndex, areaRatio, apg }
+   *   with null for features that could not be located, or null for a pulse without a peak
+   */
+  analyzeBeat(pulse, sampleRate) {
+    if (pulse.length < 4) return null;
+
+    const factor = Math.max(1, Math.round(this.upsampleRate / sampleRate));
+    const x = upsampleCubic(pulse, factor);
+    const fs = sampleRate * factor;
+    const n = x.length;
+    const toMs = (i) => (i * 1000) / fs;
+
+    // Remove the foot-to-foot baseline
+    const first = x[0];
+    const last = x[n - 1];
+    for (let i = 0; i < n; i++) x[i] -= first + ((last - first) * i) / (n - 1);
+
+    let systolic = 0;
+    for (let i = 1; i < n; i++) {
+      if (x[i] > x[systolic]) systolic = i;
+    }
+    const amplitude = x[systolic];
+    if (!(amplitude > 0) || systolic === 0 || systolic === n - 1) return null;
+    for (let i = 0; i < n; i++) x[i] /= amplitude;
+
+    let left = systolic;
+    while (left > 0 && x[left] > 0.5) left--;
+    let right = systolic;
+    while (right < n - 1 && x[right] > 0.5) right++;
+
+    const vpg = derivative(x, fs);
+    const apg = derivative(vpg, fs);
+
+    let maxSlope = 0;
+    for (let i = 1; i <= systolic; i++) {
+      if (vpg[i] > vpg[maxSlope]) maxSlope = i;
+    }
+
+    // APG waves: a is the early systolic maximum, b the deepest minimum after it,
+    // then c (maximum), d (minimum) and e (maximum); with only one maximum left it is e
+    const limit = Math.round(0.8 * (n - 1));  // Late diastole holds no waves
+    let a = 0;
+    for (let i = 1; i <= systolic; i++) {
+      if (apg[i] > apg[a]) a = i;
+    }
+    let b = null;
+    for (let i = a + 1; i < limit; i++) {
+      if (b === null || apg[i] < apg[b]) b = i;
+    }
+
+    const waves = { c: null, d: null, e: null };
+    if (b !== null && apg[a] > 0) {
+      const extrema = turningPoints(apg, { index: b, type: 'min' }, limit, 0.05 * apg[a]);
+      if (extrema.length >= 3) {
+        waves.c = extrema[0].index;
+        waves.d = extrema[1].index;
+        waves.e = extrema[2].index;
+      } else if (extrema.length > 0) {
+        waves.e = extrema[0].index;
+      }
+    }
+
+    // Dicrotic notch: a local minimum after the systolic peak, else the APG e wave
+    let notchType = null;
+    let notch = null;
+    let diastolic = null;
+    const downslope = turningPoints(x, { index: systolic, type: 'max' }, limit, 0.01);
+    if (downslope.length >= 2) {
+      notchType = 'minimum';
+      notch = downslope[0].index;
+      diastolic = downslope[1].index;
+    } else if (waves.e !== null && waves.e > systolic) {
+      notchType = 'inflection';
+      notch = waves.e;
+      diastolic = notch + 1;
+      for (let i = notch + 1; i < limit; i++) {
+        if (vpg[i] > vpg[diastolic]) diastolic = i;
+      }
+    }
+
+    let areaRatio = null;
+    if (notch !== null) {
+      let before = 0;
+      let after = 0;
+      for (let i = 0; i < n; i++) {
+        if (i < notch) before += x[i];
+        else after += x[i];
+      }
+      areaRatio = before > 0 ? after / before : null;
+    }
+
+    const peakToPeak = diastolic !== null ? toMs(diastolic - systolic) : null;
+    const ratio = (wave) => (wave !== null && b !== null && apg[a] > 0 ? apg[wave] / apg[a] : null);
+    const apgRatios = {
+      bA: ratio(b),
+      cA: ratio(waves.c),
+      dA: ratio(waves.d),
+      eA: ratio(waves.e),
+      agingIndex: waves.c !== null ? (apg[b] - apg[waves.c] - apg[waves.d] - apg[waves.e]) / apg[a] : null
+    };
+
+    return {
+      duration: toMs(n - 1),
+      amplitude,
+      riseTime: toMs(systolic),
+      pulseWidth: toMs(right - left),
+      maxSlopeTime: toMs(maxSlope),
+      notchType,
+      notchTime: notch !== null ? toMs(notch) : null,
+      diastolicTime: diastolic !== null ? toMs(diastolic) : null,
+      reflectionIndex: diastolic !== null ? 100 * x[diastolic] : null,
+      stiffnessIndex: this.height !== null && peakToPeak > 0 ? this.height / (peakToPeak / 1000) : null,
+      augmentationIndex: waves.d !== null ? 100 * (x[waves.d] - x[b]) : null,
+      areaRatio,
+      apg: apgRatios
+    };
+  }
+
+  /**
+   * Ensemble template of the last analysed window
+   * @returns {Object|null} { waveform, sampleRate } with the waveform from foot to foot,
+   *   or null when no template could be built
+   */
+  getTemplate() {
+    return this.template ? { waveform: this.template.slice(), sampleRate: this.templateRate } : null;
+  }
+
+  /**
+   * Forget the template and the reported beats
+   */
+  reset() {
+    this.template = null;
+    this.templateRate = 0;
+    this.lastTimestamp = null;
+  }
+}
+
+export default MorphologyAnalyzer;
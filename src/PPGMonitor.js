@@ -1,49 +1,120 @@
-import { SignalProcessor } from './SignalProcessor.js';
+import { EventEmitter } from './EventEmitter.js';
+import { PPGPipeline } from './PPGPipeline.js';
+import { HRVAnalyzer } from './HRVAnalyzer.js';
+import { BPEstimator } from './BPEstimator.js';
 import { UIRenderer } from './UIRenderer.js';
-import { detrend } from './utils/detrend.js';
-import { windowMean } from './utils/helpers.js';
-import { createDefaultOptions, getContainerElement } from './utils/helpers.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { MeasurementSession } from './MeasurementSession.js';
+import { CameraCalibrator } from './CameraCalibrator.js';
+import { encodeSession } from './utils/session.js';
+import { listCameras } from './utils/camera.js';
+import { createDefaultOptions, getContainerElement, getStateGuidance } from './utils/helpers.js';
+import { createFrameSource, CameraSource } from './sources/index.js';
+import { CameraError, SignalError, ProcessingError, toPPGError } from './errors.js';
+
+// Option callbacks and the events they subscribe to
+const CALLBACK_EVENTS = {
+  onFrame: 'frame',
+  onSignalUpdate: 'signal',
+  onQualityUpdate: 'quality',
+  onBeat: 'beat',
+  onStateChange: 'state',
+  onStatusChange: 'status',
+  onIrregularRhythm: 'irregularRhythm',
+  onError: 'error',
+  onReady: 'ready',
+  onEnded: 'ended'
+};
 
 /**
  * PPG Monitor - Real-time photoplethysmography signal monitoring
+ * Emits frame, signal, quality, beat, irregularRhythm, state, status, error, ready and ended
+ * events (see on())
+ *
+ * Lifecycle (status): idle → starting → running ⇄ paused → stopped → starting ...;
+ * destroyed is final
  * @class
  */
-export class PPGMonitor {
+export class PPGMonitor extends EventEmitter {
   /**
    * Create a PPG Monitor instance
    * @param {string|HTMLElement|null} container - Container element or selector (null for headless mode)
    * @param {Object} options - Configuration options
    */
   constructor(container, options = {}) {
+    super();
+
     // Merge options with defaults
     this.options = createDefaultOptions(options);
 
+    // Option callbacks are listeners added up front
+    Object.keys(CALLBACK_EVENTS).forEach(name => {
+      if (this.options[name]) this.on(CALLBACK_EVENTS[name], this.options[name]);
+    });
+
     // Get container element
     this.containerElement = getContainerElement(container);
 
     // Initialize components
-    this.signalProcessor = new SignalProcessor(this.options.signal);
+    this.pipeline = this.options.worker.enabled ? null : new PPGPipeline(this.options);
+    this.hrvAnalyzer = new HRVAnalyzer(this.options.hrv);
+    this.bpEstimator = this.options.bp.enabled ? new BPEstimator(this.options.bp) : null;
+    if (this.bpEstimator && this.options.bp.saved) {
+      this.bpEstimator.load(this.options.bp.saved);
+    }
+    this.recorder = new SessionRecorder(this.options.recording);
     this.uiRenderer = this.options.ui.enabled && this.containerElement ?
       new UIRenderer(this.containerElement, this.options.ui) : null;
 
+    // Lifecycle
+    this.status = 'idle';
+    this.input = undefined;      // Source input of the last start(), reused by restart()
+    this.startPromise = null;
+    this.pausedByVisibility = false;
+
     // State
+    this.source = null;
     this.video = null;
-    this.canvas = null;
-    this.ctx = null;
     this.stream = null;
     this.animationId = null;
+    this.worker = null;
+    this.pendingFrames = 0;
+
+    // Guided measurement in progress
+    this.measurement = null;
+
+    // Contact state, beats, counters and metrics of the current session
+    this.resetSession();
+
+    // Bind methods
+    this.computeFrame = this.computeFrame.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.handleDeviceMotion = this.handleDeviceMotion.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Clear the state of the previous session
+   */
+  resetSession() {
+    // Finger contact state
+    this.state = 'noFinger';
 
-    // Signal buffers
-    this.acdc = new Float32Array(this.options.signal.windowLength).fill(0.5);
-    this.ac = new Float32Array(this.options.signal.windowLength).fill(0.5);
+    // Detected beats and motion artifact segments
+    this.beats = [];
+    this.artifacts = [];
+    this.motionDetected = false;
 
     // Counters and timing
     this.frameCount = 0;
     this.nFrame = 0;
     this.initTime = null;
+    this.firstFrameTime = null;
+    this.lastFrameTime = null;
     this.isSignal = 0;
     this.acFrame = 0.008;
-    this.acWindow = 0.008;
+    this.lowFrameRateReported = false;
 
     // Current metrics
     this.currentMetrics = {
@@ -51,72 +122,123 @@ export class PPGMonitor {
       perfusionIndex: 0,
       heartRate: 0,
       ibi: 0,
+      respiratoryRate: null,
+      respiratoryConfidence: 0,
       qualityStatus: "Initializing",
       guidanceMessage: this.options.ui.enabled ? "Press Measure to start" : "Call start() to begin"
     };
 
-    // Bind methods
-    this.computeFrame = this.computeFrame.bind(this);
-    this.handleResize = this.handleResize.bind(this);
+    if (this.pipeline) {
+      this.pipeline.reset();
+    }
+    if (this.bpEstimator) {
+      this.bpEstimator.reset();
+    }
+    this.recorder.reset();
+  }
+
+  /**
+   * Move to a lifecycle status and emit a status event
+   * @param {string} status - 'idle' | 'starting' | 'running' | 'paused' | 'stopped' | 'destroyed'
+   */
+  setStatus(status) {
+    if (status === this.status) return;
+
+    const previousStatus = this.status;
+    this.status = status;
+    this.emit('status', { status, previousStatus });
   }
 
   /**
    * Start PPG monitoring
+   * Does nothing if already starting or running and resumes a paused monitor;
+   * use restart() to switch to another source.
+   *
+   * @param {*} [input] - Frame source input: a FrameSource, MediaStream, HTMLVideoElement,
+   *   File/Blob or URL, canvas, ImageBitmap, ImageData, or an array/function of samples.
+   *   Defaults to the device camera.
    * @returns {Promise<void>}
+   * @throws {PPGError} If the source cannot be opened (see ERROR_CODES)
    */
-  async start() {
+  async start(input) {
+    if (this.status === 'destroyed') {
+      throw new Error('PPGMonitor has been destroyed');
+    }
+    if (this.status === 'starting') {
+      return this.startPromise;
+    }
+    if (this.status === 'running') {
+      return;
+    }
+    if (this.status === 'paused') {
+      this.resume();
+      return;
+    }
+
+    this.input = input;
+    this.startPromise = this.startSession(input);
+    return this.startPromise;
+  }
+
+  /**
+   * Open the source and start frame processing
+   * @param {*} input - Frame source input (see start())
+   * @returns {Promise<void>}
+   */
+  async startSession(input) {
+    this.setStatus('starting');
+    this.resetSession();
+
     try {
-      // Create video and canvas elements
-      this.video = document.createElement('video');
-      this.canvas = document.createElement('canvas');
-      this.ctx = this.canvas.getContext('2d');
+      // Create frame source
+      const source = createFrameSource(input, this.options);
+      this.source = source;
+      this.video = source.video || null;
 
       // Render UI if enabled
       if (this.uiRenderer) {
-        this.uiRenderer.render(this.video, this.canvas, null);
+        this.uiRenderer.render(this.source.element, this.source.canvas || null, null);
       }
 
-      // Request camera access
-      this.stream = await navigator.mediaDevices.getUserMedia({
-        audio: false,
-        video: this.options.camera
-      });
+      // Open source (requests camera access for the default source)
+      await source.open();
 
-      // Enable torch/flashlight
-      const track = this.stream.getVideoTracks()[0];
-      try {
-        const imageCapture = new ImageCapture(track);
-        await imageCapture.getPhotoCapabilities();
-        await track.applyConstraints({
-          advanced: [{ torch: true }]
-        });
-      } catch (err) {
-        console.warn('Torch not available:', err);
+      // stop() was called while waiting for camera access
+      if (this.status !== 'starting' || this.source !== source) {
+        source.close();
+        return;
       }
+      this.stream = source.stream || null;
+      source.onError = (error) => this.handleSourceError(error);
 
-      // Assign stream to video
-      this.video.srcObject = this.stream;
-
-      // Wait for video to be ready
-      await new Promise((resolve) => {
-        this.video.onloadedmetadata = () => {
-          this.video.play();
-          resolve();
-        };
-      });
+      // Report a torch that was requested but could not be turned on
+      const controller = source.controller;
+      if (controller && this.options.camera.torch && controller.getStatus().torch !== 'on') {
+        this.emit('error', new CameraError('TORCH_UNAVAILABLE', 'The torch could not be turned on'));
+      }
 
-      // Set canvas dimensions
-      this.canvas.width = this.video.videoWidth;
-      this.canvas.height = this.video.videoHeight;
+      // Start processing worker if enabled
+      if (this.options.worker.enabled) {
+        await this.startWorker();
+        if (this.status !== 'starting') {
+          this.teardown();
+          return;
+        }
+      }
 
       // Initialize timing
       this.initTime = new Date();
 
+      // Listen to the accelerometer for motion artifact detection
+      if (this.options.artifacts.deviceMotion) {
+        await this.startDeviceMotion();
+      }
+
       // Initialize chart if UI is enabled
       if (this.uiRenderer) {
         this.uiRenderer.initializeChart();
         this.uiRenderer.updateTechnicalInfo({
-          resolution: `${this.video.videoWidth} x ${this.video.videoHeight}`,
+          resolution: `${this.source.width} x ${this.source.height}`,
           delay: 0
         });
 
@@ -124,161 +246,618 @@ export class PPGMonitor {
         window.addEventListener('resize', this.handleResize);
       }
 
+      // Background tabs get few or no frames, so pause while hidden
+      if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+      }
+
       // Start frame processing
+      this.setStatus('running');
       this.computeFrame();
 
-      // Emit ready callback
-      if (this.options.onReady) {
-        this.options.onReady();
-      }
+      this.emit('ready');
+
+    } catch (cause) {
+      this.teardown();
+      this.setStatus('stopped');
 
-    } catch (error) {
+      const error = toPPGError(cause);
       console.error('Failed to start PPG monitor:', error);
-      if (this.options.onError) {
-        this.options.onError(error);
-      }
+      this.emit('error', error);
       throw error;
     }
   }
 
+  /**
+   * Take a guided measurement of fixed duration
+   * Starts the monitor if it is not running (and stops it again when done). Only time with finger contact, no
+   * motion and quality at or above minQuality counts towards the duration;
+   * progress pauses while the signal is worse.
+   *
+   * @param {Object} [options] - Measurement options
+   * @param {number} [options.duration=30] - Seconds of usable signal to collect
+   * @param {string|number} [options.minQuality='Good'] - Minimum quality status or SNR in dB
+   * @param {number} [options.timeout] - Seconds before the measurement fails (default 4 × duration)
+   * @param {Function} [options.onProgress] - Called per frame with { progress, usableTime, elapsedTime, paused }
+   * @param {*} [options.source] - Frame source input used if the monitor has to be started
+   * @returns {Promise<Object>} Final report { passed, reason, heartRate, heartRateRange, hrv,
+   *   snr_dB, perfusionIndex, respiratoryRate, usablePercent, usableTime, elapsedTime, beatCount }
+   */
+  async measure(options = {}) {
+    if (this.measurement) {
+      throw new Error('A measurement is already in progress');
+    }
+
+    const { source, onProgress, ...sessionOptions } = options;
+    const report = new Promise(resolve => {
+      this.measurement = {
+        session: new MeasurementSession({ hrv: this.options.hrv, ...sessionOptions }),
+        onProgress,
+        resolve,
+        started: this.status === 'idle' || this.status === 'stopped'
+      };
+    });
+
+    if (this.uiRenderer) {
+      this.uiRenderer.updateProgress(0, true);
+    }
+
+    if (this.status === 'paused') {
+      this.resume();
+    } else if (this.measurement.started) {
+      try {
+        await this.start(source);
+      } catch (error) {
+        this.measurement = null;
+        if (this.uiRenderer) this.uiRenderer.hideProgress();
+        throw error;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Advance the guided measurement with a processed frame
+   * @param {Object} result - Pipeline result
+   */
+  updateMeasurement(result) {
+    const { session, onProgress } = this.measurement;
+    const done = session.update(result, this.currentMetrics);
+    const progress = session.getProgress();
+
+    if (this.uiRenderer) {
+      this.uiRenderer.updateProgress(progress.progress, progress.paused);
+    }
+    if (onProgress) {
+      onProgress(progress);
+    }
+
+    if (done) {
+      this.finishMeasurement();
+    }
+  }
+
+  /**
+   * Resolve the guided measurement with its report
+   * @param {string} [stopReason] - Reason the measurement ended before completing
+   */
+  finishMeasurement(stopReason) {
+    const { session, resolve, started } = this.measurement;
+    this.measurement = null;
+
+    const report = session.getReport(stopReason);
+    if (session.lastTimestamp !== null) {
+      this.recorder.recordEvent('measurement', session.lastTimestamp, {
+        passed: report.passed,
+        heartRate: report.heartRate
+      });
+    }
+
+    if (this.uiRenderer) {
+      this.uiRenderer.hideProgress();
+    }
+
+    // A monitor started for the measurement stops with it
+    if (started && !stopReason) {
+      this.stop();
+    }
+
+    resolve(report);
+  }
+
+  /**
+   * Pause analysis
+   * The camera keeps running (so the preview and torch stay on); recorded videos
+   * pause playback. Does nothing unless running.
+   */
+  pause() {
+    if (this.status !== 'running') return;
+
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.source.pause();
+
+    this.setStatus('paused');
+  }
+
+  /**
+   * Resume analysis after pause()
+   * Samples from before the pause cannot be joined to new ones, so the analysis
+   * restarts from noFinger; beats and the recording are kept.
+   */
+  resume() {
+    if (this.status !== 'paused') return;
+
+    this.resetAnalysis();
+    this.source.resume();
+
+    this.setStatus('running');
+    this.computeFrame();
+  }
+
+  /**
+   * Stop and start again with the same source input, from a clean state
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    if (this.status === 'destroyed') {
+      throw new Error('PPGMonitor has been destroyed');
+    }
+
+    this.stop();
+    await this.start(this.input);
+  }
+
   /**
    * Stop PPG monitoring
+   * Does nothing unless starting, running or paused
    */
   stop() {
+    if (this.status !== 'starting' && this.status !== 'running' && this.status !== 'paused') return;
+
+    if (this.measurement) {
+      this.finishMeasurement('Monitor stopped');
+    }
+
+    this.teardown();
+    this.setStatus('stopped');
+
+    // Add the session to the BP trend
+    if (this.bpEstimator) {
+      this.bpEstimator.endSession();
+    }
+  }
+
+  /**
+   * Release the source, worker and listeners of the current session
+   */
+  teardown() {
     // Cancel animation frame
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;
     }
 
-    // Stop video stream
-    if (this.stream) {
-      this.stream.getTracks().forEach(track => track.stop());
-      this.stream = null;
+    // Release frame source
+    if (this.source) {
+      this.source.close();
     }
+    this.stream = null;
 
-    // Pause video
-    if (this.video) {
-      this.video.pause();
-      this.video.srcObject = null;
+    // Terminate processing worker
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.pendingFrames = 0;
     }
 
     // Remove resize listener
-    if (this.uiRenderer) {
+    if (this.uiRenderer && typeof window !== 'undefined') {
       window.removeEventListener('resize', this.handleResize);
     }
+
+    // Remove accelerometer listener
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('devicemotion', this.handleDeviceMotion);
+    }
+
+    // Remove visibility listener
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    this.pausedByVisibility = false;
   }
 
   /**
-   * Process a single video frame
+   * Read a frame from the source and hand it to the pipeline or the worker
    */
   computeFrame() {
-    const DURATION = 100; // Initial frames to skip
-
-    if (this.nFrame > DURATION) {
-      // Draw video frame to canvas
-      this.ctx.drawImage(this.video, 0, 0, this.video.videoWidth, this.video.videoHeight);
-      const frame = this.ctx.getImageData(0, 0, this.video.videoWidth, this.video.videoHeight);
-
-      // Extract red channel mean
-      const count = frame.data.length / 4;
-      let rgbRed = 0;
-      for (let i = 0; i < count; i++) {
-        rgbRed += frame.data[i * 4]; // Red channel
-      }
+    if (this.nFrame > this.source.warmupFrames) {
+      const frame = this.source.readFrame(this.worker ? { videoFrame: true } : undefined);
 
-      // Invert and normalize
-      const xMean = 1 - rgbRed / (count * 255);
+      if (!frame) {
+        if (this.source.ended) {
+          this.handleSourceEnded();
+          return;
+        }
 
-      // Store in buffer
-      this.acdc[this.nFrame % this.options.signal.windowLength] = xMean;
+        // No frame available yet, try again on the next animation frame
+        this.animationId = requestAnimationFrame(this.computeFrame);
+        return;
+      }
 
-      // Process window every WINDOW_LENGTH frames
-      if (this.nFrame % this.options.signal.windowLength === 0) {
-        const windowNum = this.nFrame / this.options.signal.windowLength;
+      if (this.firstFrameTime === null) {
+        this.firstFrameTime = frame.timestamp;
+      }
 
-        // Alternate between processing and holding
-        if (Math.floor(windowNum / 100) % 2 === 0) {
-          this.isSignal = 1;
+      if (this.worker) {
+        this.postFrame(frame);
+      } else {
+        this.handleResult(this.pipeline.processFrame(frame));
+      }
+    }
 
-          // Detrend signal
-          const detrendedArray = detrend(this.acdc);
-          this.ac = new Float32Array(detrendedArray);
-          this.acWindow = windowMean(this.ac);
+    this.nFrame++;
 
-          // Calculate signal quality
-          this.currentMetrics = this.signalProcessor.process(this.acdc, this.ac);
+    // Listeners may have paused or stopped the monitor
+    if (this.status !== 'running') return;
 
-          // Update UI
-          if (this.uiRenderer) {
-            this.uiRenderer.updateMetrics(this.currentMetrics);
-            this.uiRenderer.updateTechnicalInfo({
-              window: windowNum
-            });
-          }
+    // Continue processing
+    this.animationId = requestAnimationFrame(this.computeFrame);
+  }
+
+  /**
+   * Update UI and emit callbacks for a processed frame
+   * @param {Object} result - Pipeline result
+   */
+  handleResult(result) {
+    this.frameCount = result.frameCount;
+    this.lastFrameTime = result.timestamp;
 
-          // Emit quality update callback
-          if (this.options.onQualityUpdate) {
-            this.options.onQualityUpdate(this.currentMetrics);
-          }
+    if (result.previousState) {
+      this.handleStateChange(result);
+    }
+    this.recorder.recordFrame(result);
 
-        } else {
-          this.ac = new Float32Array(this.options.signal.windowLength).fill(this.acWindow);
-          this.isSignal = 0;
-        }
+    if (result.metrics) {
+      // BP runs on the main thread so custom models also work in worker mode
+      if (this.bpEstimator) {
+        result.metrics.bp = this.bpEstimator.update(result.metrics);
       }
 
-      // Get current AC value
-      this.acFrame = this.ac[this.nFrame % this.options.signal.windowLength];
+      this.currentMetrics = result.metrics;
+      this.recorder.recordMetrics(result.timestamp, result.metrics);
+      this.checkFrameRate(result.metrics);
 
-      // Update chart
-      if (this.uiRenderer && this.nFrame % 10 === 0) {
-        this.uiRenderer.updateChart({
-          value: this.acFrame,
-          isSignal: this.isSignal
-        });
+      // Keep artifact segments and record the onset of motion
+      this.artifacts = result.artifacts;
+      if (result.metrics.motionDetected && !this.motionDetected) {
+        this.recorder.recordEvent('motion', result.timestamp);
       }
+      this.motionDetected = result.metrics.motionDetected;
 
-      // Emit signal update callback
-      if (this.options.onSignalUpdate) {
-        this.options.onSignalUpdate({
-          time: (new Date() - this.initTime) / 1000,
-          value: this.acFrame,
-          isProcessing: this.isSignal === 1
-        });
+      // Keep beat history
+      this.beats.push(...result.beats);
+      const maxBeats = this.options.signal.maxBeats || 1000;
+      if (this.beats.length > maxBeats) {
+        this.beats.splice(0, this.beats.length - maxBeats);
       }
 
-      // Update technical info (lazy update every 10 frames)
-      if (this.frameCount % 10 === 0 && this.uiRenderer) {
-        const frameTime = ((new Date() - this.initTime) / 1000).toFixed(2);
-        const videoTime = this.video.currentTime.toFixed(2);
-        const fps = (this.frameCount / this.video.currentTime).toFixed(3);
+      result.beats.forEach(beat => {
+        this.recorder.recordEvent('beat', beat.timestamp, { amplitude: beat.amplitude, ibi: beat.ibi });
+      });
 
+      result.beats.forEach(beat => this.emit('beat', beat));
+
+      result.rhythmEvents.forEach(event => {
+        this.recorder.recordEvent('irregularRhythm', event.timestamp, { rhythm: event.type });
+        this.emit('irregularRhythm', event);
+      });
+
+      // Update UI
+      if (this.uiRenderer) {
+        this.uiRenderer.updateMetrics(this.currentMetrics);
         this.uiRenderer.updateTechnicalInfo({
-          frameTime,
-          videoTime,
-          fps,
-          frameCount: this.frameCount,
-          signal: xMean.toFixed(4)
+          window: result.windowNum
         });
       }
 
-      // Emit frame callback
-      if (this.options.onFrame) {
-        this.options.onFrame({
-          frameCount: this.frameCount,
-          xMean,
-          acFrame: this.acFrame
-        });
+      this.emit('quality', this.currentMetrics);
+    }
+
+    if (this.measurement) {
+      this.updateMeasurement(result);
+    }
+
+    // Get current AC value
+    this.acFrame = result.acFrame;
+    this.isSignal = result.isSignal;
+
+    // Update chart
+    if (this.uiRenderer && this.frameCount % 10 === 0) {
+      this.uiRenderer.updateChart({
+        value: this.acFrame,
+        isSignal: this.isSignal
+      });
+    }
+
+    if (this.hasListeners('signal')) {
+      this.emit('signal', {
+        time: (new Date() - this.initTime) / 1000,
+        value: this.acFrame,
+        isProcessing: this.isSignal === 1
+      });
+    }
+
+    // Update technical info (lazy update every 10 frames)
+    if (this.frameCount % 10 === 0 && this.uiRenderer) {
+      const frameTime = ((new Date() - this.initTime) / 1000).toFixed(2);
+      const sourceTime = (result.timestamp - this.firstFrameTime) / 1000;
+      const videoTime = sourceTime.toFixed(2);
+      const fps = (sourceTime > 0 ? this.frameCount / sourceTime : 0).toFixed(3);
+
+      this.uiRenderer.updateTechnicalInfo({
+        frameTime,
+        videoTime,
+        fps,
+        frameCount: this.frameCount,
+        signal: result.xMean.toFixed(4)
+      });
+    }
+
+    if (this.hasListeners('frame')) {
+      this.emit('frame', {
+        frameCount: this.frameCount,
+        xMean: result.xMean,
+        channels: result.channels,
+        acFrame: this.acFrame,
+        artifact: result.artifact,
+        state: result.state
+      });
+    }
+  }
+
+  /**
+   * Handle a finger contact state change
+   * @param {Object} result - Pipeline result with state and previousState
+   */
+  handleStateChange(result) {
+    this.state = result.state;
+    this.recorder.recordEvent('state', result.timestamp, { state: result.state });
+
+    if (this.uiRenderer) {
+      this.uiRenderer.updateGuidance(getStateGuidance(result.state));
+    }
+
+    // Lock exposure and white balance once the image has adapted to the finger
+    const controller = this.source && this.source.controller;
+    if (controller) {
+      if (result.state === 'measuring') {
+        controller.lock();
+      } else if (result.state !== 'lost' && controller.locked) {
+        controller.unlock();
       }
+    }
 
-      this.frameCount++;
+    this.emit('state', {
+      state: result.state,
+      previousState: result.previousState,
+      timestamp: result.timestamp,
+      contact: result.contact
+    });
+  }
+
+  /**
+   * Start the processing worker and wait until it is ready
+   * @returns {Promise<void>}
+   */
+  startWorker() {
+    // Functions cannot be cloned into the worker
+    const quality = this.options.quality;
+    const sqis = quality.sqis || {};
+    if (typeof quality.fusion === 'function' || Object.keys(sqis).some(name => typeof sqis[name].compute === 'function' ||
+        typeof sqis[name].grade === 'function')) {
+      return Promise.reject(new ProcessingError(
+        'WORKER_FAILED',
+        'Custom SQIs and fusion functions are not available in worker mode'
+      ));
+    }
+    if (typeof this.options.spo2.calibration === 'function') {
+      return Promise.reject(new ProcessingError(
+        'WORKER_FAILED',
+        'SpO2 calibration functions are not available in worker mode'
+      ));
     }
 
-    this.nFrame++;
+    const url = this.options.worker.url || new URL('ppg-worker.js', import.meta.url);
+    this.worker = new Worker(url);
+    this.pendingFrames = 0;
 
-    // Continue processing
-    this.animationId = requestAnimationFrame(this.computeFrame);
+    return new Promise((resolve, reject) => {
+      this.worker.onmessage = (event) => {
+        if (event.data.type === 'ready') {
+          this.worker.onmessage = this.handleWorkerMessage;
+          this.worker.onerror = (errorEvent) => {
+            this.handleSourceError(new ProcessingError('WORKER_FAILED', errorEvent.message || 'PPG worker failed'));
+          };
+          resolve();
+        }
+      };
+      this.worker.onerror = (event) => {
+        reject(new ProcessingError('WORKER_FAILED', event.message || 'Failed to start PPG worker'));
+      };
+
+      // Callbacks cannot be cloned, so only the processing options are sent
+      this.worker.postMessage({
+        type: 'init',
+        options: {
+          signal: this.options.signal,
+          quality: this.options.quality,
+          extraction: this.options.extraction,
+          contact: this.options.contact,
+          artifacts: this.options.artifacts,
+          respiration: this.options.respiration,
+          spo2: this.options.spo2,
+          morphology: this.options.morphology,
+          rhythm: this.options.rhythm,
+          // BP is estimated on the main thread; the worker only needs to compute morphology
+          bp: { enabled: this.options.bp.enabled }
+        }
+      });
+    });
+  }
+
+  /**
+   * Transfer a frame to the worker
+   * Frames are dropped while the worker is behind; timestamps keep the analysis correct
+   * @param {Object} frame - Source frame
+   */
+  postFrame(frame) {
+    if (this.pendingFrames >= this.options.worker.maxPendingFrames) {
+      if (frame.videoFrame) frame.videoFrame.close();
+      return;
+    }
+    this.pendingFrames++;
+
+    if (frame.videoFrame) {
+      this.worker.postMessage(
+        { type: 'frame', frame: { timestamp: frame.timestamp, videoFrame: frame.videoFrame } },
+        [frame.videoFrame]
+      );
+    } else if (frame.imageData) {
+      const pixels = frame.imageData.data.buffer;
+      this.worker.postMessage({
+        type: 'frame',
+        frame: {
+          timestamp: frame.timestamp,
+          width: frame.imageData.width,
+          height: frame.imageData.height,
+          pixels
+        }
+      }, [pixels]);
+    } else {
+      this.worker.postMessage({ type: 'frame', frame: { timestamp: frame.timestamp, value: frame.value } });
+    }
+  }
+
+  /**
+   * Handle messages from the processing worker
+   * @param {MessageEvent} event - Worker message
+   */
+  handleWorkerMessage(event) {
+    const message = event.data;
+
+    if (message.type === 'result') {
+      this.pendingFrames = Math.max(0, this.pendingFrames - 1);
+
+      // Frames in flight when the monitor was paused are dropped
+      if (this.status === 'running') {
+        this.handleResult(message.result);
+      }
+    } else if (message.type === 'error') {
+      this.pendingFrames = Math.max(0, this.pendingFrames - 1);
+      this.emit('error', new ProcessingError('PROCESSING_FAILED', message.message));
+    }
+  }
+
+  /**
+   * Start listening to accelerometer readings
+   * iOS requires permission, which must be requested from a user gesture (e.g. the click that calls start())
+   * @returns {Promise<void>}
+   */
+  async startDeviceMotion() {
+    if (typeof window === 'undefined' || typeof DeviceMotionEvent === 'undefined') return;
+
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        if (await DeviceMotionEvent.requestPermission() !== 'granted') return;
+      } catch (error) {
+        return; // Not triggered by a user gesture; run without the accelerometer
+      }
+    }
+
+    window.addEventListener('devicemotion', this.handleDeviceMotion);
+  }
+
+  /**
+   * Pass an accelerometer reading to the pipeline or the worker
+   * @param {DeviceMotionEvent} event - Motion event
+   */
+  handleDeviceMotion(event) {
+    const reading = event.accelerationIncludingGravity || event.acceleration;
+    if (!reading) return;
+
+    const acceleration = { x: reading.x, y: reading.y, z: reading.z };
+    if (this.worker) {
+      this.worker.postMessage({ type: 'motion', timestamp: event.timeStamp, acceleration });
+    } else if (this.pipeline) {
+      this.pipeline.addMotion(event.timeStamp, acceleration);
+    }
+  }
+
+  /**
+   * Handle the end of a finite frame source (recorded video, sample array)
+   */
+  handleSourceEnded() {
+    if (this.measurement) {
+      this.finishMeasurement('Source ended');
+    }
+    this.stop();
+    this.emit('ended');
+  }
+
+  /**
+   * Handle a failure of the source or worker after start
+   * Fatal errors end the session (and a measurement in progress).
+   * @param {PPGError} error - Error
+   */
+  handleSourceError(error) {
+    if (this.status !== 'running' && this.status !== 'paused') return;
+
+    this.emit('error', error);
+
+    if (error.fatal) {
+      if (this.measurement) {
+        this.finishMeasurement(error.userMessage);
+      }
+      this.stop();
+    }
+  }
+
+  /**
+   * Emit LOW_FRAME_RATE once per session when the source delivers too few frames
+   * @param {Object} metrics - Window metrics
+   */
+  checkFrameRate(metrics) {
+    if (this.lowFrameRateReported || !(metrics.frameRate > 0)) return;
+
+    if (metrics.frameRate < this.options.signal.minFrameRate) {
+      this.lowFrameRateReported = true;
+      this.emit('error', new SignalError(
+        'LOW_FRAME_RATE',
+        `Frame rate ${metrics.frameRate.toFixed(1)} FPS is below ${this.options.signal.minFrameRate} FPS`,
+        { details: { frameRate: metrics.frameRate } }
+      ));
+    }
+  }
+
+  /**
+   * Pause while the page is hidden and resume when it is shown again
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      if (this.status !== 'running') return;
+
+      this.pause();
+      this.pausedByVisibility = true;
+      this.emit('error', new SignalError('PAGE_HIDDEN'));
+    } else if (this.pausedByVisibility) {
+      this.pausedByVisibility = false;
+      this.resume();
+    }
   }
 
   /**
@@ -306,10 +885,235 @@ export class PPGMonitor {
     return this.currentMetrics.qualityStatus;
   }
 
+  /**
+   * Add or replace a signal quality index used to grade every window
+   * Not available in worker mode (functions cannot be sent to the worker)
+   *
+   * @param {string} name - SQI name (key in metrics.sqi)
+   * @param {Object} definition - { compute, thresholds, higherIsBetter, grade, weight } (see QualityAssessor.register())
+   */
+  registerSQI(name, definition) {
+    if (!this.pipeline) {
+      throw new Error('Custom SQIs are not available in worker mode');
+    }
+    this.pipeline.qualityAssessor.register(name, definition);
+  }
+
+  /**
+   * Replace the calibration curve of the experimental SpO2 estimate
+   * Fit one with SpO2Estimator.fitCalibration() from metrics.spo2.ratio and reference readings.
+   *
+   * @param {Object|Function|null} calibration - { coefficients, residualSD }, a function
+   *   (ratio) => SpO2 (not in worker mode), or null for the uncalibrated default curve
+   */
+  setSpO2Calibration(calibration) {
+    if (!this.options.spo2.enabled) {
+      throw new Error('SpO2 estimation is not enabled (spo2.enabled)');
+    }
+
+    this.options.spo2.calibration = calibration;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'spo2Calibration', calibration });
+    } else if (this.pipeline) {
+      this.pipeline.spo2Estimator.setCalibration(calibration);
+    }
+  }
+
+  /**
+   * Get the finger contact state
+   * @returns {string} 'noFinger' | 'placing' | 'settling' | 'measuring' | 'lost'
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * List the cameras of the device
+   * Labels and facing are only known after camera permission was granted
+   * @returns {Promise<Array>} Cameras { deviceId, label, facing }
+   */
+  static listCameras() {
+    return listCameras();
+  }
+
+  /**
+   * Switch to another camera
+   * While running, the camera is reopened and the analysis restarts from noFinger;
+   * otherwise the camera is used by the next start()
+   *
+   * @param {string} deviceId - Camera device ID (see PPGMonitor.listCameras())
+   * @returns {Promise<void>}
+   */
+  async switchCamera(deviceId) {
+    this.options.camera.deviceId = deviceId;
+    if (this.status !== 'running' && this.status !== 'paused') return;
+
+    if (!(this.source instanceof CameraSource)) {
+      throw new Error('Camera switching requires the camera source');
+    }
+
+    await this.source.setDevice(deviceId);
+    this.stream = this.source.stream;
+
+    // A new camera sees a different image, so the measurement starts over
+    this.resetAnalysis();
+  }
+
+  /**
+   * Reset the pipeline (or the worker's) to noFinger, keeping beats and the recording
+   */
+  resetAnalysis() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset' });
+    } else if (this.pipeline) {
+      this.pipeline.reset();
+    }
+
+    if (this.state !== 'noFinger') {
+      this.handleStateChange({ state: 'noFinger', previousState: this.state, timestamp: this.lastFrameTime, contact: null });
+    }
+  }
+
+  /**
+   * Find the rear camera with the strongest pulse
+   * Opens each rear camera in turn with the torch on and measures the pulsatile SNR;
+   * the finger must cover the lenses and flash throughout. The winner is used from
+   * then on and, unless remember is false, remembered on this device.
+   * Must be called while the monitor is stopped.
+   *
+   * @param {Object} [settings] - { duration, settleTime, remember, onProgress } (see CameraCalibrator)
+   * @returns {Promise<Object>} { deviceId, label, snr_dB, cameras }
+   */
+  async calibrateCamera(settings = {}) {
+    if (this.status === 'starting' || this.status === 'running' || this.status === 'paused') {
+      throw new Error('Stop the monitor before calibrating the camera');
+    }
+
+    const result = await new CameraCalibrator(this.options).run(settings);
+    this.options.camera.deviceId = result.deviceId;
+    return result;
+  }
+
+  /**
+   * Turn the camera torch on or off
+   * @param {boolean} enabled - Torch state
+   * @returns {Promise<void>}
+   */
+  async setTorch(enabled) {
+    if (!this.source || !this.source.controller) {
+      throw new Error('Torch control requires the camera source');
+    }
+    await this.source.controller.setTorch(enabled);
+  }
+
+  /**
+   * Get the state of the camera controls
+   * @returns {Object|null} { torch, exposure, whiteBalance, focus, settings }, or null
+   *   when the source is not the camera
+   */
+  getCameraControls() {
+    return this.source && this.source.controller ? this.source.controller.getStatus() : null;
+  }
+
+  /**
+   * Get detected beats
+   * @returns {Array} Beats { timestamp, footTimestamp, amplitude, ibi }
+   */
+  getBeats() {
+    return this.beats.slice();
+  }
+
+  /**
+   * Get heart rate variability metrics over the configured HRV window
+   * @returns {Object} HRV metrics { meanNN, sdnn, rmssd, pnn50, lf, hf, lfHfRatio, sd1, sd2, ... }
+   */
+  getHRV() {
+    return this.hrvAnalyzer.analyze(this.beats);
+  }
+
+  /**
+   * Get the motion artifact segments masked out of HR, IBI and HRV
+   * @returns {Array} Segments { start, end } in milliseconds on the source clock
+   */
+  getArtifacts() {
+    return this.artifacts.map(segment => ({ ...segment }));
+  }
+
+  /**
+   * Get the recorded session
+   * @returns {Object} Session { startTime, sampleRate, frames, metrics, events }
+   */
+  getSession() {
+    return this.recorder.getSession();
+  }
+
+  /**
+   * Export the recorded session as a file
+   * @param {string} [format='json'] - 'csv', 'json' or 'edf' (EDF+)
+   * @returns {Blob} Session file
+   */
+  exportSession(format = 'json') {
+    return encodeSession(this.recorder.getSession(), format);
+  }
+
+  /**
+   * Pair a cuff reading with the current pulse features (EXPERIMENTAL BP trend)
+   * Take the reading while measuring, seated and at rest. Every reading refits the
+   * model and restarts the calibration expiry.
+   *
+   * @param {Object} reading - { systolic, diastolic } in mmHg, optional time (ms since the epoch)
+   * @returns {Object} { calibrationCount, systolicSD, diastolicSD, expiresAt }
+   * @throws {RangeError} For implausible readings
+   * @throws {Error} When BP estimation is not enabled or no pulse features are available yet
+   */
+  calibrateBP(reading) {
+    return this.requireBP().calibrate(reading);
+  }
+
+  /**
+   * Get the BP trend across sessions
+   * @returns {Object} { sessions, systolicSlope, diastolicSlope } (see BPEstimator.getTrend())
+   */
+  getBPTrend() {
+    return this.requireBP().getTrend();
+  }
+
+  /**
+   * Export the BP calibration, model and trend for storage
+   * Restore it with loadBPModel() or the bp.saved option.
+   * @returns {Object} JSON-serialisable state
+   */
+  exportBPModel() {
+    return this.requireBP().toJSON();
+  }
+
+  /**
+   * Restore a BP calibration, model and trend saved with exportBPModel()
+   * @param {Object|string} data - Saved state or its JSON text
+   */
+  loadBPModel(data) {
+    this.requireBP().load(data);
+  }
+
+  /**
+   * Get the BP estimator
+   * @returns {BPEstimator}
+   * @throws {Error} When BP estimation is not enabled
+   */
+  requireBP() {
+    if (!this.bpEstimator) {
+      throw new Error('BP estimation is not enabled (bp.enabled)');
+    }
+    return this.bpEstimator;
+  }
+
   /**
    * Destroy the PPG monitor and cleanup
+   * The instance cannot be started again
    */
   destroy() {
+    if (this.status === 'destroyed') return;
+
     this.stop();
 
     if (this.uiRenderer) {
@@ -317,13 +1121,17 @@ export class PPGMonitor {
       this.uiRenderer = null;
     }
 
+    this.source = null;
     this.video = null;
-    this.canvas = null;
-    this.ctx = null;
     this.stream = null;
 
-    this.acdc = null;
-    this.ac = null;
+    this.pipeline = null;
+    this.beats = [];
+    this.artifacts = [];
+    this.recorder.reset();
+
+    this.setStatus('destroyed');
+    this.removeAllListeners();
   }
 }
 
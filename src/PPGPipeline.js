@@ -0,0 +1,519 @@
+import { SignalProcessor } from './SignalProcessor.js';
+import { BeatDetector } from './BeatDetector.js';
+import { RespirationEstimator } from './RespirationEstimator.js';
+import { ChannelExtractor } from './ChannelExtractor.js';
+import { ArtifactDetector } from './ArtifactDetector.js';
+import { ContactDetector } from './ContactDetector.js';
+import { QualityAssessor, QUALITY_GRADES } from './QualityAssessor.js';
+import { SpO2Estimator } from './SpO2Estimator.js';
+import { MorphologyAnalyzer } from './MorphologyAnalyzer.js';
+import { RhythmAnalyzer } from './RhythmAnalyzer.js';
+import { detrend } from './utils/detrend.js';
+import { calculateSNRFromPSD } from './utils/fft.js';
+import { resampleUniform, estimateSampleRate } from './utils/resample.js';
+import {
+  designButterworth,
+  designNotch,
+  filtfilt,
+  IIRFilter,
+  movingAverage,
+  savitzkyGolay
+} from './utils/filters.js';
+import { median, generateGuidance } from './utils/helpers.js';
+
+/**
+ * PPG Pipeline - frame-by-frame signal extraction and windowed analysis
+ * Holds the signal buffers and analysis components. It does not touch the DOM,
+ * so it runs on the main thread, in a Web Worker, or offline.
+ */
+export class PPGPipeline {
+  /**
+   * Create a PPG pipeline
+   * @param {Object} options - Monitor options (signal, quality, extraction, contact, artifacts,
+   *   respiration, spo2, morphology, rhythm and bp sections are used; bp.enabled turns on
+   *   morphology)
+   */
+  constructor(options) {
+    this.options = options;
+
+    this.signalProcessor = new SignalProcessor(options.signal);
+    this.beatDetector = new BeatDetector(options.signal);
+    this.respirationEstimator = new RespirationEstimator(options.respiration);
+    this.channelExtractor = new ChannelExtractor({
+      ...options.extraction,
+      windowLength: options.signal.windowLength
+    });
+    this.artifactDetector = new ArtifactDetector(options.artifacts);
+    this.contactDetector = new ContactDetector(options.contact);
+    this.qualityAssessor = new QualityAssessor(options.quality);
+    this.spo2Estimator = options.spo2 && options.spo2.enabled ? new SpO2Estimator(options.spo2) : null;
+    const morphology = (options.morphology && options.morphology.enabled) || (options.bp && options.bp.enabled);
+    this.morphologyAnalyzer = morphology ? new MorphologyAnalyzer(options.morphology) : null;
+    this.rhythmAnalyzer = options.rhythm && options.rhythm.enabled ? new RhythmAnalyzer(options.rhythm) : null;
+
+    // Signal ring buffers
+    this.acdc = new Float32Array(options.signal.windowLength).fill(0.5);
+    this.ac = new Float32Array(options.signal.windowLength);
+    this.timestamps = new Float64Array(options.signal.windowLength);
+    this.artifactFlags = new Uint8Array(options.signal.windowLength);
+
+    this.frameCount = 0;    // Frames seen
+    this.sampleCount = 0;   // Frames buffered since measuring started
+    this.windowCount = 0;
+    this.isSignal = 0;
+
+    // Linear trend of the last window, used to detrend new samples as they arrive
+    this.trend = null;
+
+    // Filter sections designed for the measured sample rate, and the causal live filter
+    this.filterSections = null;
+    this.filterRate = 0;
+    this.streamFilter = null;
+  }
+
+  /**
+   * Process one frame
+   * Frames are only buffered and analysed while the contact state is measuring;
+   * leaving measuring (finger lifted) resets the analysis
+   *
+   * @param {Object} frame - { timestamp, imageData } or { timestamp, value }
+   * @returns {Object} { frameCount, timestamp, xMean, channels, acFrame, isSignal, artifact,
+   *   state, previousState, contact, metrics, beats, artifacts, rhythmEvents, windowNum } where
+   *   metrics, beats, artifacts and rhythmEvents are set when a window was analysed and
+   *   previousState when the contact state changed
+   */
+  processFrame(frame) {
+    const contact = this.contactDetector.update(frame);
+    if (contact.changed && contact.previousState === 'measuring') {
+      this.resetAnalysis();
+    }
+
+    const result = {
+      frameCount: this.frameCount,
+      timestamp: frame.timestamp,
+      xMean: 0,
+      channels: null,
+      artifact: false,
+      state: contact.state,
+      previousState: contact.changed ? contact.previousState : null,
+      contact: contact.features,
+      metrics: null,
+      beats: [],
+      artifacts: null,
+      rhythmEvents: [],
+      windowNum: null,
+      acFrame: 0,
+      isSignal: 0
+    };
+    this.frameCount++;
+
+    if (contact.state !== 'measuring') {
+      if (frame.imageData) {
+        result.channels = this.channelExtractor.extract(frame.imageData);
+        result.xMean = 1 - result.channels[this.channelExtractor.getSelected().channel];
+      } else {
+        result.xMean = frame.value;
+      }
+      return result;
+    }
+
+    const windowLength = this.options.signal.windowLength;
+    const slot = this.sampleCount % windowLength;
+
+    let xMean;
+    let channels = null;
+    if (frame.imageData) {
+      // Extract channel means over the ROI (inverted, normalized signal of the selected channel)
+      const extracted = this.channelExtractor.update(frame.imageData, slot);
+      xMean = extracted.value;
+      channels = extracted.channels;
+    } else {
+      // Sample sources provide the signal value directly
+      xMean = frame.value;
+    }
+
+    // Store in buffer with its capture timestamp
+    this.acdc[slot] = xMean;
+    this.timestamps[slot] = frame.timestamp;
+
+    // Flag DC jumps, clipping and device motion. Sample values are inverted channel means, so
+    // the raw mean is 1 - value; values outside 0-1 have no known raw level
+    const selectedChannel = this.channelExtractor.getSelected().channel;
+    const rawDC = xMean >= 0 && xMean <= 1 ? 1 - xMean : null;
+    const artifact = this.artifactDetector.checkSample({
+      timestamp: frame.timestamp,
+      dc: channels ? channels[selectedChannel] : rawDC,
+      clipped: channels ? channels.clipped[selectedChannel] : null
+    });
+    this.artifactFlags[slot] = artifact ? 1 : 0;
+
+    result.xMean = xMean;
+    result.channels = channels;
+    result.artifact = artifact;
+
+    // Analyse the last WINDOW_LENGTH frames every HOP_LENGTH frames
+    const collected = this.sampleCount + 1;
+    const hopLength = this.options.signal.hopLength || windowLength;
+    if (collected >= windowLength && (collected - windowLength) % hopLength === 0) {
+      this.windowCount++;
+      this.isSignal = 1;
+      result.windowNum = this.windowCount;
+      Object.assign(result, this.analyzeWindow(channels !== null));
+    }
+
+    // Current AC value: the sample minus the trend of the last window, filtered causally
+    if (this.trend) {
+      const detrended = this.acdc[slot] -
+        (this.trend.intercept + this.trend.slope * (frame.timestamp - this.trend.startTime));
+      result.acFrame = this.streamFilter.process(detrended);
+    }
+    result.isSignal = this.isSignal;
+
+    this.sampleCount++;
+
+    return result;
+  }
+
+  /**
+   * Analyse the buffered window
+   *
+   * @param {boolean} hasChannels - Whether the window holds pixel-derived channel buffers
+   * @returns {Object} { metrics, beats, artifacts, rhythmEvents }
+   */
+  analyzeWindow(hasChannels) {
+    // Score every channel/tile and select the one with the best SNR
+    if (hasChannels) {
+      const scores = this.channelExtractor.buffers.map(buffer => this.calculateWindowSNR(buffer));
+      if (this.channelExtractor.select(scores)) {
+        this.acdc.set(this.channelExtractor.buffers[this.channelExtractor.selected]);
+      }
+    }
+
+    // Resample onto a uniform grid using the capture timestamps
+    const resampled = this.resampleWindow();
+
+    const sampleRate = resampled.sampleRate || this.options.signal.sampleRate;
+
+    // Detrend and filter signal
+    const detrended = new Float32Array(detrend(resampled.values));
+    this.trend = this.fitTrend(resampled, detrended);
+    this.ac = this.filterWindow(detrended, sampleRate);
+
+    // Mask motion artifacts
+    const flags = this.resampleWindow(this.artifactFlags).values;
+    const artifacts = this.artifactDetector.analyzeWindow(this.ac, flags, sampleRate, resampled.startTime);
+    const mask = artifacts.mask;
+    const clean = this.ac.map((v, i) => (mask[i] ? 0 : v));
+
+    // Calculate signal quality at the effective sample rate
+    const metrics = this.signalProcessor.process(resampled.values, clean, sampleRate);
+    metrics.frameRate = resampled.frameRate;
+    const spectralInterval = metrics.ibi;
+
+    if (hasChannels) {
+      const selected = this.channelExtractor.getSelected();
+      metrics.channel = selected.channel;
+      metrics.region = selected.region;
+      metrics.channelSNR = this.channelExtractor.getChannelSNR();
+    }
+
+    // Detect beats in the time domain with a refractory period from the spectral heart rate;
+    // beats and intervals touching masked samples are dropped
+    const maskIndex = (t) => Math.min(mask.length - 1,
+      Math.max(0, Math.round(((t - resampled.startTime) * sampleRate) / 1000)));
+    const beats = this.beatDetector.process(this.ac, metrics.sampleRate, resampled.startTime, spectralInterval)
+      .filter(beat => !mask[maskIndex(beat.timestamp)]);
+    beats.forEach(beat => {
+      if (beat.ibi === null) return;
+      const interval = mask.subarray(maskIndex(beat.timestamp - beat.ibi), maskIndex(beat.timestamp) + 1);
+      if (interval.includes(1)) beat.ibi = null;
+    });
+
+    const recent = mask.subarray(Math.max(0, mask.length - Math.round(sampleRate)));
+    metrics.motionDetected = recent.includes(1);
+    metrics.artifactRatio = mask.reduce((sum, v) => sum + v, 0) / mask.length;
+    metrics.skewness = artifacts.skewness;
+    metrics.kurtosis = artifacts.kurtosis;
+
+    // Grade the window from the signal quality indices
+    const peaks = this.beatDetector.findPeaks(clean, sampleRate, spectralInterval).map(peak => peak.index);
+    const quality = this.qualityAssessor.assess({
+      signal: clean,
+      raw: resampled.values,
+      sampleRate,
+      peaks,
+      spectrum: this.signalProcessor.lastSpectrum,
+      metrics,
+      options: this.options.signal
+    });
+    metrics.qualityStatus = quality.qualityStatus;
+    metrics.qualityScore = quality.qualityScore;
+    metrics.sqi = quality.sqi;
+    metrics.guidanceMessage = generateGuidance(quality.qualityStatus, metrics.perfusionIndex, metrics.signalStability);
+    if (metrics.motionDetected) {
+      metrics.guidanceMessage = 'Motion detected - hold still';
+    }
+
+    // Experimental SpO2 from the red and reference channels (windows mostly masked by motion are skipped)
+    if (hasChannels && this.spo2Estimator) {
+      metrics.spo2 = metrics.artifactRatio > 0.5 ?
+        this.spo2Estimator.estimate() :
+        this.spo2Estimator.update(this.channelPerfusion('red', mask), this.channelPerfusion(this.spo2Estimator.referenceChannel, mask));
+    }
+
+    // Pulse waveform features from a wider band than the cardiac filter keeps (Poor windows are skipped)
+    if (this.morphologyAnalyzer) {
+      metrics.morphology = quality.qualityStatus === 'Poor' ? null :
+        this.morphologyAnalyzer.analyze(this.morphologySignal(detrended, sampleRate), sampleRate, peaks, resampled.startTime, mask);
+    }
+
+    // Irregular rhythm screening on intervals that are free of artifacts and from windows of
+    // sufficient quality; anything else breaks the interval series, and without recent usable
+    // intervals the verdict is 'insufficient'
+    let rhythmEvents = [];
+    if (this.rhythmAnalyzer) {
+      const minQuality = this.options.rhythm.minQuality || 'Fair';
+      const usable = QUALITY_GRADES.indexOf(quality.qualityStatus) >= QUALITY_GRADES.indexOf(minQuality);
+      const screened = this.rhythmAnalyzer.update(beats.map((beat, i) => {
+        const previous = i > 0 ? beats[i - 1].timestamp : this.rhythmAnalyzer.lastTimestamp;
+        return {
+          timestamp: beat.timestamp,
+          usable: usable && previous !== null && previous >= resampled.startTime &&
+            !mask.subarray(maskIndex(previous), maskIndex(beat.timestamp) + 1).includes(1)
+        };
+      }), resampled.startTime + ((mask.length - 1) * 1000) / sampleRate);
+      metrics.rhythm = screened.rhythm;
+
+      // Premature and missed beats are only reported while the beat intervals agree with the
+      // spectral heart rate; otherwise they are more likely doubled or missed detections.
+      // Atrial fibrillation has no clear spectral peak, so irregularity is not gated this way
+      const maxRateMismatch = this.options.rhythm.maxRateMismatch || 0.2;
+      const windowIbis = this.beatDetector.beats
+        .filter(beat => beat.timestamp >= resampled.startTime && beat.ibi !== null)
+        .map(beat => beat.ibi);
+      const agrees = spectralInterval > 0 && windowIbis.length > 0 &&
+        Math.abs(median(windowIbis) - spectralInterval) <= maxRateMismatch * spectralInterval;
+      rhythmEvents = screened.events.filter(event => agrees || event.type === 'irregular');
+    }
+
+    // Measured inter-beat intervals replace the FFT-derived estimate
+    const ibis = beats.filter(beat => beat.ibi !== null).map(beat => beat.ibi);
+    if (ibis.length > 0) {
+      metrics.ibi = Math.round(median(ibis));
+    }
+
+    // Estimate respiration from baseline, amplitude and interval modulation
+    this.respirationEstimator.update(resampled.values, metrics.sampleRate, resampled.startTime, beats);
+    const respiration = this.respirationEstimator.estimate();
+    metrics.respiratoryRate = respiration.respiratoryRate;
+    metrics.respiratoryConfidence = respiration.confidence;
+
+    return { metrics, beats, artifacts: this.artifactDetector.getSegments(), rhythmEvents };
+  }
+
+  /**
+   * Perfusion index of one colour channel of the selected region over the current window
+   *
+   * @param {string} channel - 'red', 'green' or 'blue'
+   * @param {Uint8Array} mask - Artifact mask of the window
+   * @returns {number} Perfusion index (%)
+   */
+  channelPerfusion(channel, mask) {
+    const region = this.channelExtractor.getSelected().region;
+    const index = this.channelExtractor.candidates.findIndex(c => c.region === region && c.channel === channel);
+    const resampled = this.resampleWindow(this.channelExtractor.buffers[index]);
+    const sampleRate = resampled.sampleRate || this.options.signal.sampleRate;
+
+    // Buffers hold inverted means; the DC is the actual channel level
+    const raw = resampled.values.map(v => 1 - v);
+    const ac = this.filterWindow(new Float32Array(detrend(resampled.values)), sampleRate)
+      .map((v, i) => (mask[i] ? 0 : v));
+
+    return this.signalProcessor.calculatePerfusionIndex(raw, ac).pi;
+  }
+
+  /**
+   * Band-limit a detrended window for waveform analysis
+   * The cardiac band-pass removes the harmonics that shape the dicrotic notch, so
+   * morphology uses its own, wider band
+   *
+   * @param {Float32Array} detrended - Detrended window
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Float32Array} Filtered window
+   */
+  morphologySignal(detrended, sampleRate) {
+    const morphology = this.options.morphology || {};
+    const high = Math.min(morphology.highCutoff || 10, 0.45 * sampleRate);
+
+    return filtfilt(designButterworth('bandpass', 2, [morphology.lowCutoff || 0.5, high], sampleRate), detrended);
+  }
+
+  /**
+   * Recover the linear trend removed from a resampled window
+   *
+   * @param {Object} resampled - Resampled window { values, sampleRate, startTime }
+   * @param {Float32Array} detrended - Detrended window values
+   * @returns {Object} { intercept, slope, startTime } with slope per millisecond
+   */
+  fitTrend(resampled, detrended) {
+    const n = resampled.values.length;
+    const first = resampled.values[0] - detrended[0];
+    const last = resampled.values[n - 1] - detrended[n - 1];
+    const duration = resampled.sampleRate > 0 ? ((n - 1) * 1000) / resampled.sampleRate : 0;
+
+    return {
+      intercept: first,
+      slope: duration > 0 ? (last - first) / duration : 0,
+      startTime: resampled.startTime
+    };
+  }
+
+  /**
+   * Design the configured filter for a sample rate
+   * Sections are reused while the measured rate stays within 5%
+   *
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Array} Second-order sections
+   */
+  designFilter(sampleRate) {
+    if (this.filterSections && Math.abs(sampleRate - this.filterRate) <= 0.05 * this.filterRate) {
+      return this.filterSections;
+    }
+
+    const signal = this.options.signal;
+    const type = signal.filter || 'none';
+    const sections = type === 'none' ? [] : designButterworth(
+      type,
+      signal.filterOrder || 2,
+      type === 'bandpass' ? [signal.cardiacBandLow, signal.cardiacBandHigh] :
+        type === 'highpass' ? signal.cardiacBandLow : signal.cardiacBandHigh,
+      sampleRate
+    );
+    if (signal.notchFrequency) {
+      sections.push(...designNotch(signal.notchFrequency, sampleRate));
+    }
+
+    this.filterSections = sections;
+    this.filterRate = sampleRate;
+    this.streamFilter = new IIRFilter(sections);
+
+    return sections;
+  }
+
+  /**
+   * Filter a detrended window with zero phase and apply the configured smoother
+   *
+   * @param {Float32Array} detrended - Detrended window
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Float32Array} Filtered window
+   */
+  filterWindow(detrended, sampleRate) {
+    const signal = this.options.signal;
+    const filtered = filtfilt(this.designFilter(sampleRate), detrended);
+
+    if (signal.smoothing === 'movingAverage') {
+      return movingAverage(filtered, signal.smoothingWindow || 5);
+    }
+    if (signal.smoothing === 'savitzkyGolay') {
+      return savitzkyGolay(filtered, signal.smoothingWindow || 5, signal.smoothingOrder || 2);
+    }
+    return filtered;
+  }
+
+  /**
+   * Calculate the SNR of a signal buffer over the current window
+   *
+   * @param {Float32Array} buffer - Ring buffer aligned with the timestamps
+   * @returns {number} SNR in dB
+   */
+  calculateWindowSNR(buffer) {
+    const resampled = this.resampleWindow(buffer);
+    const sampleRate = resampled.sampleRate || this.options.signal.sampleRate;
+    const fftResult = this.signalProcessor.computeSpectrum(
+      this.filterWindow(new Float32Array(detrend(resampled.values)), sampleRate),
+      sampleRate
+    );
+
+    return calculateSNRFromPSD(
+      fftResult.psd,
+      fftResult.freqResolution,
+      this.options.signal.cardiacBandLow,
+      this.options.signal.cardiacBandHigh
+    ).snr_dB;
+  }
+
+  /**
+   * Order the buffered window chronologically and resample it onto a uniform time grid
+   * Frames arrive with jitter and below the configured rate, so the buffer index
+   * alone does not give a usable time axis
+   *
+   * @param {Float32Array|Uint8Array} [buffer] - Ring buffer aligned with the timestamps (defaults to the signal buffer)
+   * @returns {Object} { values, sampleRate, startTime, frameRate }
+   */
+  resampleWindow(buffer = this.acdc) {
+    const windowLength = this.options.signal.windowLength;
+    // Only frames captured so far hold real samples
+    const count = Math.min(this.sampleCount + 1, windowLength);
+    const values = new Float32Array(count);
+    const times = new Float64Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const idx = (this.sampleCount - count + 1 + i + windowLength) % windowLength;
+      values[i] = buffer[idx];
+      times[i] = this.timestamps[idx];
+    }
+
+    return {
+      ...resampleUniform(values, times, windowLength),
+      frameRate: estimateSampleRate(times)
+    };
+  }
+
+  /**
+   * Add an accelerometer reading for motion artifact detection
+   * @param {number} timestamp - Reading time in milliseconds (frame clock)
+   * @param {Object} acceleration - { x, y, z } in m/s²
+   */
+  addMotion(timestamp, acceleration) {
+    this.artifactDetector.addMotion(timestamp, acceleration);
+  }
+
+  /**
+   * Reset buffers and analysis state, including the contact state
+   */
+  reset() {
+    this.frameCount = 0;
+    this.contactDetector.reset();
+    this.resetAnalysis();
+  }
+
+  /**
+   * Reset buffers and analysis state for a new measurement
+   */
+  resetAnalysis() {
+    const windowLength = this.options.signal.windowLength;
+
+    this.acdc = new Float32Array(windowLength).fill(0.5);
+    this.ac = new Float32Array(windowLength);
+    this.timestamps = new Float64Array(windowLength);
+    this.artifactFlags = new Uint8Array(windowLength);
+    this.sampleCount = 0;
+    this.windowCount = 0;
+    this.isSignal = 0;
+    this.trend = null;
+    this.filterSections = null;
+    this.filterRate = 0;
+    this.streamFilter = null;
+
+    this.signalProcessor.reset();
+    this.beatDetector.reset();
+    this.respirationEstimator.reset();
+    this.channelExtractor.reset();
+    this.artifactDetector.reset();
+    if (this.spo2Estimator) this.spo2Estimator.reset();
+    if (this.morphologyAnalyzer) this.morphologyAnalyzer.reset();
+    if (this.rhythmAnalyzer) this.rhythmAnalyzer.reset();
+  }
+}
+
+export default PPGPipeline;
@@ -0,0 +1,284 @@
+import { zeroCrossingRate, templateCorrelation, spectralEntropy } from './utils/sqi.js';
+
+/**
+ * Quality grades from worst to best; an SQI grade is its index in this list
+ */
+export const QUALITY_GRADES = ['Poor', 'Fair', 'Good', 'Excellent'];
+
+/**
+ * Built-in signal quality indices
+ * compute(context) returns the SQI value (null when it cannot be computed).
+ * thresholds are the values needed for [Excellent, Good, Fair]; with
+ * higherIsBetter false a value must stay at or below them. grade(value, context)
+ * replaces the threshold comparison for SQIs that are not monotonic.
+ */
+export const BUILTIN_SQIS = {
+  snr: {
+    compute: (context) => context.metrics.snr_dB,
+    thresholds: [10, 5, 0],
+    higherIsBetter: true,
+    weight: 3
+  },
+  perfusionIndex: {
+    compute: (context) => context.metrics.perfusionIndex,
+    thresholds: [1, 0.3, 0.1],
+    higherIsBetter: true,
+    weight: 1
+  },
+  skewness: {
+    compute: (context) => context.metrics.skewness,
+    thresholds: [0.3, 0, -0.5],
+    higherIsBetter: true,
+    weight: 1
+  },
+  kurtosis: {
+    compute: (context) => context.metrics.kurtosis,
+    thresholds: [3.5, 5, 8],
+    higherIsBetter: false,
+    weight: 1
+  },
+  // Crossings per second; a clean pulse crosses zero twice per beat
+  zeroCrossingRate: {
+    compute: (context) => zeroCrossingRate(context.signal, context.sampleRate),
+    thresholds: [0.2, 0.4, 0.8],
+    grade(value, context, thresholds) {
+      const expected = 2 * context.metrics.peakFrequency;
+      if (!(expected > 0)) return 0;
+      return gradeValue(Math.abs(value / expected - 1), thresholds, false);
+    },
+    weight: 1
+  },
+  templateCorrelation: {
+    compute: (context) => templateCorrelation(context.signal, context.peaks),
+    thresholds: [0.9, 0.8, 0.6],
+    higherIsBetter: true,
+    weight: 2
+  },
+  spectralEntropy: {
+    compute: (context) => spectralEntropy(
+      context.spectrum.psd,
+      context.spectrum.freqResolution,
+      context.options.cardiacBandLow || 0.75,
+      context.options.cardiacBandHigh || 4.0
+    ),
+    thresholds: [0.7, 0.8, 0.9],
+    higherIsBetter: false,
+    weight: 1
+  }
+};
+
+/**
+ * Default decision tree: SNR decides, pulse shape consistency caps the grade
+ */
+const DEFAULT_TREE = {
+  sqi: 'snr',
+  threshold: 5,
+  above: {
+    sqi: 'templateCorrelation',
+    threshold: 0.8,
+    above: { sqi: 'snr', threshold: 10, above: 'Excellent', below: 'Good' },
+    below: 'Fair',
+    missing: { sqi: 'snr', threshold: 10, above: 'Excellent', below: 'Good' }
+  },
+  below: { sqi: 'snr', threshold: 0, above: 'Fair', below: 'Poor' }
+};
+
+/**
+ * Grade a value against [Excellent, Good, Fair] thresholds
+ *
+ * @param {number} value - SQI value
+ * @param {Array<number>} thresholds - Values needed for Excellent, Good and Fair
+ * @param {boolean} higherIsBetter - Direction of the comparison
+ * @returns {number} Grade index in QUALITY_GRADES
+ */
+function gradeValue(value, thresholds, higherIsBetter) {
+  for (let i = 0; i < thresholds.length; i++) {
+    if (higherIsBetter ? value >= thresholds[i] : value <= thresholds[i]) {
+      return QUALITY_GRADES.length - 1 - i;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Quality Assessor - pluggable signal quality indices and fusion
+ * Every analysis window is scored by each enabled SQI, and a fusion rule turns
+ * the SQI values and grades into the window's quality grade:
+ * - 'snr': the SNR grade alone (10/5/0 dB)
+ * - 'weighted': weighted mean of the SQI grades
+ * - 'decisionTree': a tree of SQI threshold tests
+ * - a function (sqi, grades) returning a grade or { qualityStatus, qualityScore }
+ */
+export class QualityAssessor {
+  /**
+   * Create a Quality Assessor
+   * @param {Object} options - Quality options
+   * @param {string|Function} options.fusion - Fusion rule
+   * @param {Object} options.sqis - Per-SQI overrides { name: { enabled, weight, thresholds } };
+   *   entries with a compute function add custom SQIs
+   * @param {Array<number>} options.scoreThresholds - Weighted scores (0-1) for Excellent, Good and Fair
+   * @param {Object|null} options.tree - Decision tree for 'decisionTree' (default tree when null)
+   */
+  constructor(options = {}) {
+    this.fusion = options.fusion || 'snr';
+    this.scoreThresholds = options.scoreThresholds || [0.8, 0.5, 0.2];
+    this.tree = options.tree || DEFAULT_TREE;
+
+    this.sqis = {};
+    Object.keys(BUILTIN_SQIS).forEach(name => {
+      this.sqis[name] = { enabled: true, ...BUILTIN_SQIS[name] };
+    });
+
+    const overrides = options.sqis || {};
+    Object.keys(overrides).forEach(name => {
+      if (this.sqis[name]) {
+        this.sqis[name] = { ...this.sqis[name], ...overrides[name] };
+      } else {
+        this.register(name, overrides[name]);
+      }
+    });
+  }
+
+  /**
+   * Add or replace a signal quality index
+   *
+   * @param {string} name - SQI name (key in metrics.sqi)
+   * @param {Object} definition - SQI definition
+   * @param {Function} definition.compute - (context) => value or null, where context is
+   *   { signal, raw, sampleRate, peaks, spectrum, metrics, options }
+   * @param {Array<number>} [definition.thresholds] - Values needed for Excellent, Good and Fair
+   * @param {boolean} [definition.higherIsBetter=true] - Direction of the thresholds
+   * @param {Function} [definition.grade] - (value, context, thresholds) => grade index (0-3),
+   *   replaces the threshold comparison
+   * @param {number} [definition.weight=1] - Weight in the 'weighted' fusion rule
+   */
+  register(name, definition) {
+    if (!definition || typeof definition.compute !== 'function') {
+      throw new TypeError(`SQI "${name}" needs a compute function`);
+    }
+    if (!definition.grade && !Array.isArray(definition.thresholds)) {
+      throw new TypeError(`SQI "${name}" needs thresholds or a grade function`);
+    }
+
+    this.sqis[name] = { enabled: true, higherIsBetter: true, weight: 1, ...definition };
+  }
+
+  /**
+   * Remove a signal quality index
+   * @param {string} name - SQI name
+   */
+  unregister(name) {
+    delete this.sqis[name];
+  }
+
+  /**
+   * Score an analysis window
+   *
+   * @param {Object} context - Window context
+   * @param {Float32Array} context.signal - Filtered AC signal with motion artifacts masked
+   * @param {Float32Array} context.raw - Resampled raw signal
+   * @param {number} context.sampleRate - Sample rate in Hz
+   * @param {Array<number>} context.peaks - Systolic peak indices in signal
+   * @param {Object} context.spectrum - Power spectrum of signal { psd, freqResolution }
+   * @param {Object} context.metrics - Window metrics (snr_dB, perfusionIndex, skewness, ...)
+   * @param {Object} context.options - Signal options
+   * @returns {Object} { qualityStatus, qualityScore, sqi, sqiGrades } where sqi holds the
+   *   SQI values and sqiGrades their grades (null where an SQI could not be computed)
+   */
+  assess(context) {
+    const sqi = {};
+    const grades = {};
+
+    Object.keys(this.sqis).forEach(name => {
+      const definition = this.sqis[name];
+      if (!definition.enabled) return;
+
+      let value = null;
+      try {
+        value = definition.compute(context);
+      } catch (error) {
+        console.warn(`SQI "${name}" failed:`, error);
+      }
+
+      if (typeof value !== 'number' || !isFinite(value)) {
+        sqi[name] = null;
+        grades[name] = null;
+        return;
+      }
+
+      sqi[name] = value;
+      grades[name] = definition.grade ?
+        definition.grade(value, context, definition.thresholds) :
+        gradeValue(value, definition.thresholds, definition.higherIsBetter !== false);
+    });
+
+    const fused = this.fuse(sqi, grades);
+    return { ...fused, sqi, sqiGrades: grades };
+  }
+
+  /**
+   * Apply the fusion rule
+   *
+   * @param {Object} sqi - SQI values
+   * @param {Object} grades - SQI grade indices
+   * @returns {Object} { qualityStatus, qualityScore } with qualityScore from 0 to 1
+   */
+  fuse(sqi, grades) {
+    const top = QUALITY_GRADES.length - 1;
+
+    if (typeof this.fusion === 'function') {
+      const result = this.fusion(sqi, grades);
+      if (typeof result === 'string') {
+        return { qualityStatus: result, qualityScore: Math.max(0, QUALITY_GRADES.indexOf(result)) / top };
+      }
+      return result;
+    }
+
+    if (this.fusion === 'weighted') {
+      let sum = 0;
+      let totalWeight = 0;
+      Object.keys(grades).forEach(name => {
+        const weight = this.sqis[name].weight;
+        if (grades[name] === null || !(weight > 0)) return;
+        sum += weight * grades[name];
+        totalWeight += weight;
+      });
+
+      const score = totalWeight > 0 ? sum / (totalWeight * top) : 0;
+      return { qualityStatus: QUALITY_GRADES[gradeValue(score, this.scoreThresholds, true)], qualityScore: score };
+    }
+
+    if (this.fusion === 'decisionTree') {
+      const qualityStatus = this.walkTree(this.tree, sqi);
+      return { qualityStatus, qualityScore: Math.max(0, QUALITY_GRADES.indexOf(qualityStatus)) / top };
+    }
+
+    // 'snr'
+    const grade = grades.snr !== undefined && grades.snr !== null ? grades.snr : 0;
+    return { qualityStatus: QUALITY_GRADES[grade], qualityScore: grade / top };
+  }
+
+  /**
+   * Walk a decision tree
+   * A node is a grade name or { sqi, threshold, above, below, missing }: values at or
+   * above the threshold take the above branch; SQIs that could not be computed take
+   * missing (below when not given).
+   *
+   * @param {Object|string} node - Tree node
+   * @param {Object} sqi - SQI values
+   * @returns {string} Quality grade
+   */
+  walkTree(node, sqi) {
+    while (typeof node !== 'string') {
+      const value = sqi[node.sqi];
+      if (value === null || value === undefined) {
+        node = node.missing !== undefined ? node.missing : node.below;
+      } else {
+        node = value >= node.threshold ? node.above : node.below;
+      }
+    }
+    return node;
+  }
+}
+
+export default QualityAssessor;
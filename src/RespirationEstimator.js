@@ -0,0 +1,186 @@
+import { lombScargle } from './HRVAnalyzer.js';
+
+/**
+ * Drop samples older than the cutoff time
+ *
+ * @param {Object} series - { times, values }
+ * @param {number} cutoff - Cutoff timestamp in milliseconds
+ */
+function trim(series, cutoff) {
+  let i = 0;
+  while (i < series.times.length && series.times[i] < cutoff) i++;
+  if (i > 0) {
+    series.times.splice(0, i);
+    series.values.splice(0, i);
+  }
+}
+
+/**
+ * Respiration Estimator for PPG signals
+ * Breathing modulates the PPG in three ways: baseline wander (BW), beat amplitude
+ * modulation (AM) and beat interval modulation (FM, respiratory sinus arrhythmia).
+ * Each modulation gives a respiratory rate estimate; estimates are fused by
+ * their spectral quality and agreement.
+ */
+export class RespirationEstimator {
+  /**
+   * Create a Respiration Estimator
+   * @param {Object} options - Respiration options
+   * @param {number} options.windowDuration - Seconds of history used for estimation
+   * @param {number} options.minRate - Lowest respiratory rate (breaths/min)
+   * @param {number} options.maxRate - Highest respiratory rate (breaths/min)
+   * @param {number} options.minDuration - Seconds of history required before estimating
+   */
+  constructor(options = {}) {
+    this.windowDuration = options.windowDuration || 32;
+    this.minRate = options.minRate || 6;
+    this.maxRate = options.maxRate || 30;
+    this.minDuration = options.minDuration || 15;
+
+    this.baselineRate = 4;      // Hz, baseline history sample rate
+    this.freqStep = 0.005;      // Hz
+    this.peakWidth = 0.03;      // Hz, half-width of the band counted as the peak
+    this.maxSpread = 8;         // breaths/min at which estimates stop agreeing
+
+    this.reset();
+  }
+
+  /**
+   * Add a window of raw signal and the beats detected in it
+   * Windows may overlap; samples older than the stored history are ignored
+   *
+   * @param {Float32Array} rawSignal - Uniformly sampled raw (not detrended) signal window
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} startTime - Timestamp of the first sample in milliseconds
+   * @param {Array} beats - Newly detected beats { timestamp, amplitude, ibi }
+   */
+  update(rawSignal, sampleRate, startTime, beats = []) {
+    const n = rawSignal.length;
+    const dt = 1000 / sampleRate;
+
+    // Low-pass over one second to suppress the cardiac component
+    const width = Math.max(1, Math.round(sampleRate));
+    const half = Math.floor(width / 2);
+    const step = Math.max(1, Math.round(sampleRate / this.baselineRate));
+
+    for (let i = half; i < n - half; i += step) {
+      const t = startTime + i * dt;
+      if (this.baseline.times.length > 0 &&
+          t <= this.baseline.times[this.baseline.times.length - 1]) {
+        continue;
+      }
+
+      let sum = 0;
+      for (let j = i - half; j <= i + half; j++) sum += rawSignal[j];
+
+      this.baseline.times.push(t);
+      this.baseline.values.push(sum / (2 * half + 1));
+    }
+
+    for (const beat of beats) {
+      this.amplitude.times.push(beat.timestamp);
+      this.amplitude.values.push(beat.amplitude);
+      if (beat.ibi !== null) {
+        this.interval.times.push(beat.timestamp);
+        this.interval.values.push(beat.ibi);
+      }
+    }
+
+    const latest = startTime + (n - 1) * dt;
+    const cutoff = latest - this.windowDuration * 1000;
+    [this.baseline, this.amplitude, this.interval].forEach(series => trim(series, cutoff));
+  }
+
+  /**
+   * Estimate the respiratory rate from the stored history
+   *
+   * @returns {Object} { respiratoryRate, confidence, estimates } with rates in breaths/min
+   *   (respiratoryRate is null while there is not enough data)
+   */
+  estimate() {
+    const estimates = {
+      baseline: this.estimateSeries(this.baseline),
+      amplitude: this.estimateSeries(this.amplitude),
+      frequency: this.estimateSeries(this.interval)
+    };
+
+    const valid = Object.values(estimates).filter(e => e !== null);
+    if (valid.length === 0) {
+      return { respiratoryRate: null, confidence: 0, estimates };
+    }
+
+    // Quality-weighted fusion
+    let weightSum = 0;
+    let rateSum = 0;
+    let minRate = Infinity;
+    let maxRate = -Infinity;
+    for (const e of valid) {
+      weightSum += e.quality;
+      rateSum += e.rate * e.quality;
+      minRate = Math.min(minRate, e.rate);
+      maxRate = Math.max(maxRate, e.rate);
+    }
+
+    const rate = weightSum > 0 ? rateSum / weightSum : valid[0].rate;
+    const meanQuality = weightSum / valid.length;
+    const agreement = Math.max(0, 1 - (maxRate - minRate) / this.maxSpread);
+    const coverage = valid.length / 3;
+
+    return {
+      respiratoryRate: rate,
+      confidence: meanQuality * agreement * coverage,
+      estimates
+    };
+  }
+
+  /**
+   * Estimate the respiratory rate of one modulation series
+   *
+   * @param {Object} series - { times, values } with times in milliseconds
+   * @returns {Object|null} { rate, quality } or null if there is not enough data
+   */
+  estimateSeries(series) {
+    const n = series.times.length;
+    if (n < 8) return null;
+
+    const duration = (series.times[n - 1] - series.times[0]) / 1000;
+    if (duration < this.minDuration) return null;
+
+    const times = series.times.map(t => t / 1000);
+    const freqs = [];
+    for (let f = this.minRate / 60; f <= this.maxRate / 60; f += this.freqStep) {
+      freqs.push(f);
+    }
+
+    const psd = lombScargle(times, series.values, freqs);
+
+    let peakIdx = 0;
+    let total = 0;
+    for (let k = 0; k < psd.length; k++) {
+      total += psd[k];
+      if (psd[k] > psd[peakIdx]) peakIdx = k;
+    }
+    if (total <= 0) return null;
+
+    let peakPower = 0;
+    for (let k = 0; k < psd.length; k++) {
+      if (Math.abs(freqs[k] - freqs[peakIdx]) <= this.peakWidth) peakPower += psd[k];
+    }
+
+    return {
+      rate: freqs[peakIdx] * 60,
+      quality: peakPower / total
+    };
+  }
+
+  /**
+   * Reset estimator state
+   */
+  reset() {
+    this.baseline = { times: [], values: [] };
+    this.amplitude = { times: [], values: [] };
+    this.interval = { times: [], values: [] };
+  }
+}
+
+export default RespirationEstimator;
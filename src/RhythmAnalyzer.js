@@ -0,0 +1,294 @@
+import { median } from './utils/helpers.js';
+
+const ENTROPY_BINS = 16;
+const ENTROPY_BIN_WIDTH = 0.025;  // Fraction of the mean interval per histogram bin
+const MAX_LAG = 8;                // Beats; covers breathing at 6-30/min for 45-240 BPM
+
+/**
+ * Rhythm Analyzer - irregular rhythm screening from beat-to-beat intervals
+ * Atrial fibrillation makes intervals irregular and uncorrelated. Over the last
+ * windowBeats intervals the rhythm is flagged irregular when all of these agree
+ * (after Dash et al., 2009):
+ * - normalised RMSSD (RMSSD / mean interval) is high
+ * - Shannon entropy of the interval histogram is high
+ * - the number of turning points is what a random series would have
+ * - the Poincaré plot is dispersed (SD1/SD2 close to 1)
+ * and the intervals are not periodic. Respiratory sinus arrhythmia can be just as
+ * variable, but it follows breathing, so its autocorrelation is strong and its
+ * turning points are regular. Premature beats (a short interval followed by a
+ * compensatory pause) and missed beats (an interval of about two beats) are
+ * detected against the local median interval and left out of the statistics.
+ * An irregular episode ends only after endVerdicts regular verdicts in a row.
+ */
+export class RhythmAnalyzer {
+  /**
+   * Create a Rhythm Analyzer
+   * @param {Object} options - Rhythm options
+   * @param {number} options.windowBeats - Intervals analysed
+   * @param {number} options.minIntervals - Usable intervals needed for a verdict
+   * @param {number} options.rmssdThreshold - Normalised RMSSD for irregularity
+   * @param {number} options.entropyThreshold - Normalised Shannon entropy for irregularity (0-1)
+   * @param {number} options.dispersionThreshold - Poincaré SD1/SD2 for irregularity
+   * @param {number} options.periodicityThreshold - Autocorrelation above which intervals are periodic
+   * @param {number} options.prematureRatio - Interval / local median at or below which a beat is premature
+   * @param {number} options.missedRatio - Interval / local median at or above which a beat was missed
+   * @param {number} options.endVerdicts - Consecutive regular verdicts that end an irregular episode
+   * @param {number} options.staleTimeout - Milliseconds without a new usable interval after which
+   *   the verdict is 'insufficient'
+   */
+  constructor(options = {}) {
+    this.windowBeats = options.windowBeats || 32;
+    this.minIntervals = options.minIntervals || 20;
+    this.rmssdThreshold = options.rmssdThreshold || 0.1;
+    this.entropyThreshold = options.entropyThreshold || 0.7;
+    this.dispersionThreshold = options.dispersionThreshold || 0.7;
+    this.periodicityThreshold = options.periodicityThreshold || 0.5;
+    this.prematureRatio = options.prematureRatio || 0.8;
+    this.missedRatio = options.missedRatio || 1.75;
+    this.endVerdicts = options.endVerdicts || 10;
+    this.staleTimeout = options.staleTimeout || 3000;
+
+    this.compensatoryRatio = 1.1;  // Pause after a premature beat, relative to the local median
+    this.referenceBeats = 8;       // Intervals in the local median
+
+    this.reset();
+  }
+
+  /**
+   * Add beats and re-assess the rhythm
+   *
+   * @param {Array} beats - Beats { timestamp, usable } in order, where usable is false when the
+   *   interval since the previous beat is unreliable (motion artifact, poor quality)
+   * @param {number} [now] - Current time in milliseconds (defaults to the last beat)
+   * @returns {Object} { rhythm, events } with rhythm as returned by analyze() and events the
+   *   rhythm events { type: 'premature' | 'missed' | 'irregular', timestamp, evidence } found.
+   *   During an episode the rhythm stays irregular until endVerdicts regular verdicts in a row
+   */
+  update(beats, now) {
+    const events = [];
+    beats.forEach(beat => {
+      const event = this.addBeat(beat.timestamp, beat.usable);
+      if (event && !this.irregular) events.push(event);
+    });
+
+    const rhythm = this.analyze(now);
+    if (rhythm.status === 'irregular') {
+      if (!this.irregular) {
+        const { status, irregular, ...evidence } = rhythm;
+        events.push({ type: 'irregular', timestamp: this.lastTimestamp, evidence });
+      }
+      this.irregular = true;
+      this.regularVerdicts = 0;
+    } else if (rhythm.status === 'regular' && this.irregular) {
+      this.regularVerdicts++;
+      if (this.regularVerdicts >= this.endVerdicts) {
+        this.irregular = false;
+        this.regularVerdicts = 0;
+      } else {
+        rhythm.status = 'irregular';
+        rhythm.irregular = true;
+      }
+    }
+
+    return { rhythm, events };
+  }
+
+  /**
+   * Add one beat
+   *
+   * @param {number} timestamp - Beat time in milliseconds
+   * @param {boolean} usable - Whether the interval since the previous beat is reliable
+   * @returns {Object|null} A premature or missed beat event, or null
+   */
+  addBeat(timestamp, usable) {
+    const previous = this.lastTimestamp;
+    this.lastTimestamp = timestamp;
+
+    if (!usable || previous === null) {
+      this.segment++;
+      return null;
+    }
+
+    const interval = timestamp - previous;
+    const normal = this.intervals.filter(entry => entry.kind === 'normal');
+    const reference = normal.length >= this.referenceBeats / 2 ?
+      median(normal.slice(-this.referenceBeats).map(entry => entry.interval)) : 0;
+    const last = this.intervals[this.intervals.length - 1];
+    const adjacent = last && last.segment === this.segment ? last : null;
+
+    let kind = 'normal';
+    let event = null;
+
+    if (reference > 0 && interval >= this.missedRatio * reference) {
+      if (interval > 2.5 * reference) {
+        // Too long to be one missed beat: a detection gap
+        this.segment++;
+        return null;
+      }
+      kind = 'missed';
+      event = { type: 'missed', timestamp, evidence: { interval, reference } };
+    } else if (reference > 0 && adjacent && adjacent.kind === 'normal' &&
+        adjacent.interval <= this.prematureRatio * reference &&
+        interval >= this.compensatoryRatio * reference) {
+      adjacent.kind = 'premature';
+      kind = 'compensatory';
+      event = {
+        type: 'premature',
+        timestamp: previous,
+        evidence: { interval: adjacent.interval, compensatoryInterval: interval, reference }
+      };
+    }
+
+    this.intervals.push({ timestamp, interval, kind, segment: this.segment });
+    if (this.intervals.length > 4 * this.windowBeats) this.intervals.shift();
+
+    return event;
+  }
+
+  /**
+   * Assess the rhythm over the last windowBeats intervals
+   *
+   * @param {number} [now] - Current time in milliseconds (defaults to the last beat)
+   * @returns {Object} { status, irregular, intervalCount, nRMSSD, entropy, turningPointRatio,
+   *   turningPointsRandom, sd1, sd2, dispersion, periodicity, prematureBeats, missedBeats } with
+   *   status 'regular', 'irregular' or 'insufficient' (too few usable intervals, or none within
+   *   staleTimeout of now; statistics null)
+   */
+  analyze(now = this.lastTimestamp) {
+    const recent = this.intervals.slice(-this.windowBeats);
+    const series = recent.filter(entry => entry.kind === 'normal');
+    const result = {
+      status: 'insufficient',
+      irregular: false,
+      intervalCount: series.length,
+      nRMSSD: null,
+      entropy: null,
+      turningPointRatio: null,
+      turningPointsRandom: null,
+      sd1: null,
+      sd2: null,
+      dispersion: null,
+      periodicity: null,
+      prematureBeats: recent.filter(entry => entry.kind === 'premature').length,
+      missedBeats: recent.filter(entry => entry.kind === 'missed').length
+    };
+    const newest = this.intervals[this.intervals.length - 1];
+    if (series.length < this.minIntervals || now - newest.timestamp > this.staleTimeout) return result;
+
+    const values = series.map(entry => entry.interval);
+    const n = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+
+    // follows[i]: interval i directly follows interval i - 1 (no gap or excluded beat between)
+    const follows = series.map((entry, i) => i > 0 && entry.segment === series[i - 1].segment &&
+      recent.indexOf(entry) === recent.indexOf(series[i - 1]) + 1);
+
+    // Normalised RMSSD and Poincaré descriptors
+    let sumSquares = 0;
+    const across = [];
+    const along = [];
+    for (let i = 1; i < n; i++) {
+      if (!follows[i]) continue;
+      const difference = values[i] - values[i - 1];
+      sumSquares += difference * difference;
+      across.push(difference / Math.SQRT2);
+      along.push((values[i] + values[i - 1]) / Math.SQRT2);
+    }
+    if (across.length < 2) return result;
+
+    result.nRMSSD = Math.sqrt(sumSquares / across.length) / mean;
+    result.sd1 = standardDeviation(across);
+    result.sd2 = standardDeviation(along);
+    result.dispersion = result.sd2 > 0 ? result.sd1 / result.sd2 : 0;
+
+    // Shannon entropy of a fixed-width histogram around the mean interval
+    const counts = new Array(ENTROPY_BINS).fill(0);
+    values.forEach(v => {
+      const bin = Math.floor((v - mean) / (ENTROPY_BIN_WIDTH * mean) + ENTROPY_BINS / 2);
+      counts[Math.max(0, Math.min(ENTROPY_BINS - 1, bin))]++;
+    });
+    let entropy = 0;
+    counts.forEach(count => {
+      if (count > 0) entropy -= (count / n) * Math.log(count / n);
+    });
+    result.entropy = entropy / Math.log(ENTROPY_BINS);
+
+    // Turning points over consecutive triples, against the expectation for a random series
+    let triples = 0;
+    let turningPoints = 0;
+    for (let i = 2; i < n; i++) {
+      if (!follows[i] || !follows[i - 1]) continue;
+      const a = values[i - 2];
+      const b = values[i - 1];
+      const c = values[i];
+      triples++;
+      if ((b > a && b > c) || (b < a && b < c)) turningPoints++;
+    }
+    if (triples > 0) {
+      const expected = (2 * triples) / 3;
+      const sd = Math.sqrt((16 * (triples + 2) - 29) / 90);
+      result.turningPointRatio = turningPoints / triples;
+      result.turningPointsRandom = Math.abs(turningPoints - expected) <= 1.96 * sd;
+    }
+
+    result.periodicity = periodicity(values, mean);
+
+    // Thresholds are relaxed during an episode, so borderline windows do not interrupt it
+    const relax = this.irregular ? 0.75 : 1;
+    result.irregular = result.nRMSSD >= relax * this.rmssdThreshold &&
+      result.entropy >= relax * this.entropyThreshold &&
+      (this.irregular || result.turningPointsRandom === true) &&
+      result.dispersion >= relax * this.dispersionThreshold &&
+      result.periodicity < this.periodicityThreshold;
+    result.status = result.irregular ? 'irregular' : 'regular';
+
+    return result;
+  }
+
+  /**
+   * Forget the interval history
+   */
+  reset() {
+    this.intervals = [];
+    this.lastTimestamp = null;
+    this.segment = 0;
+    this.irregular = false;
+    this.regularVerdicts = 0;
+  }
+}
+
+/**
+ * Sample standard deviation
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation
+ */
+function standardDeviation(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1));
+}
+
+/**
+ * Strongest autocorrelation of an interval series over lags 1 to MAX_LAG
+ *
+ * @param {Array<number>} values - Intervals
+ * @param {number} mean - Mean interval
+ * @returns {number} Largest absolute autocorrelation (0-1)
+ */
+function periodicity(values, mean) {
+  const n = values.length;
+  let variance = 0;
+  for (let i = 0; i < n; i++) variance += (values[i] - mean) * (values[i] - mean);
+  if (!(variance > 0)) return 0;
+
+  let strongest = 0;
+  for (let lag = 1; lag <= Math.min(MAX_LAG, n - 2); lag++) {
+    let sum = 0;
+    for (let i = lag; i < n; i++) sum += (values[i] - mean) * (values[i - lag] - mean);
+    strongest = Math.max(strongest, Math.abs(sum / variance));
+  }
+  return strongest;
+}
+
+export default RhythmAnalyzer;
@@ -0,0 +1,151 @@
+import { estimateSampleRate } from './utils/resample.js';
+
+/**
+ * Session Recorder - keeps the measurements of a monitoring session
+ * Captures per-frame channel means, the raw and detrended signal, every
+ * metrics object and detected events, with times in milliseconds from the
+ * first recorded frame
+ */
+export class SessionRecorder {
+  /**
+   * Create a Session Recorder
+   * @param {Object} options - Recording options
+   * @param {boolean} options.enabled - Record sessions (default true)
+   * @param {number} options.maxDuration - Seconds of most recent data to keep (0 = unlimited)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxDuration = options.maxDuration !== undefined ? options.maxDuration : 600;
+
+    this.reset();
+  }
+
+  /**
+   * Discard recorded data and start a new session
+   */
+  reset() {
+    this.startTime = null;
+    this.origin = null;
+
+    this.frames = {
+      time: [],
+      value: [],
+      ac: [],
+      red: [],
+      green: [],
+      blue: []
+    };
+    this.metrics = [];
+    this.events = [];
+  }
+
+  /**
+   * Convert a source timestamp to session time
+   * The first recorded timestamp becomes time zero
+   *
+   * @param {number} timestamp - Source timestamp in milliseconds
+   * @returns {number} Milliseconds from the session start
+   */
+  toSessionTime(timestamp) {
+    if (this.origin === null) {
+      this.origin = timestamp;
+      this.startTime = new Date();
+    }
+    return timestamp - this.origin;
+  }
+
+  /**
+   * Record a processed frame
+   * @param {Object} result - Pipeline result { timestamp, xMean, acFrame, channels }
+   */
+  recordFrame(result) {
+    if (!this.enabled) return;
+
+    const frames = this.frames;
+    frames.time.push(this.toSessionTime(result.timestamp));
+    frames.value.push(result.xMean);
+    frames.ac.push(result.acFrame);
+
+    // Sample sources have no pixel channels
+    if (result.channels) {
+      frames.red.push(result.channels.red);
+      frames.green.push(result.channels.green);
+      frames.blue.push(result.channels.blue);
+    }
+
+    this.trim();
+  }
+
+  /**
+   * Record a metrics object
+   * @param {number} timestamp - Source timestamp of the frame that completed the window
+   * @param {Object} metrics - Signal metrics
+   */
+  recordMetrics(timestamp, metrics) {
+    if (!this.enabled) return;
+
+    this.metrics.push({ time: this.toSessionTime(timestamp), ...metrics });
+  }
+
+  /**
+   * Record an event (beat, start, stop, ...)
+   * @param {string} type - Event type
+   * @param {number} timestamp - Source timestamp of the event
+   * @param {Object} [data] - Event fields
+   */
+  recordEvent(type, timestamp, data = {}) {
+    if (!this.enabled) return;
+
+    this.events.push({ time: this.toSessionTime(timestamp), type, ...data });
+  }
+
+  /**
+   * Drop data older than maxDuration
+   * Runs once the recording exceeds the limit by 10% so it does not splice every frame
+   */
+  trim() {
+    const time = this.frames.time;
+    if (!(this.maxDuration > 0) || time.length === 0) return;
+
+    const limit = this.maxDuration * 1000;
+    const last = time[time.length - 1];
+    if (last - time[0] <= limit * 1.1) return;
+
+    const cutoff = last - limit;
+    const count = time.findIndex(t => t >= cutoff);
+
+    Object.keys(this.frames).forEach(key => {
+      const values = this.frames[key];
+      if (values.length > 0) values.splice(0, count);
+    });
+    this.metrics = this.metrics.filter(entry => entry.time >= cutoff);
+    this.events = this.events.filter(entry => entry.time >= cutoff);
+  }
+
+  /**
+   * Get the recorded session
+   * @returns {Object} { format, version, startTime, sampleRate, frames, metrics, events }
+   */
+  getSession() {
+    const time = this.frames.time;
+
+    return {
+      format: 'ppg-js-session',
+      version: 1,
+      startTime: this.startTime ? this.startTime.toISOString() : null,
+      sampleRate: estimateSampleRate(time) || null,
+      frames: {
+        time: time.slice(),
+        value: this.frames.value.slice(),
+        ac: this.frames.ac.slice(),
+        red: this.frames.red.slice(),
+        green: this.frames.green.slice(),
+        blue: this.frames.blue.slice()
+      },
+      metrics: this.metrics.map(entry => ({ ...entry })),
+      events: this.events.map(entry => ({ ...entry }))
+    };
+  }
+}
+
+export default SessionRecorder;
@@ -1,27 +1,55 @@
-import { computeFFT, calculateSNRFromPSD } from './utils/fft.js';
+import {
+  computeFFT,
+  welchPSD,
+  nextPowerOfTwo,
+  calculateSNRFromPSD,
+  findSpectralPeaks,
+  findFundamental
+} from './utils/fft.js';
+import { HeartRateTracker } from './HeartRateTracker.js';
 import { getQualityStatus, generateGuidance } from './utils/helpers.js';
 
 /**
  * Signal Processor for PPG signal quality analysis
  * Performs FFT-based SNR calculation, Perfusion Index calculation,
- * and generates quality metrics and user guidance
+ * and generates quality metrics and user guidance. Heart rate comes from the
+ * interpolated spectral peak, corrected for harmonics and tracked across windows.
  */
 export class SignalProcessor {
   /**
    * Create a Signal Processor
    * @param {Object} options - Signal processing options
    * @param {number} options.windowLength - Window length in samples
+   * @param {number} options.hopLength - Samples between consecutive windows (defaults to windowLength)
    * @param {number} options.sampleRate - Sample rate in Hz
    * @param {number} options.cardiacBandLow - Lower cardiac frequency (Hz)
    * @param {number} options.cardiacBandHigh - Upper cardiac frequency (Hz)
-   * @param {number} options.fftSize - FFT size (power of 2)
+   * @param {number} options.fftSize - Minimum FFT size (power of 2)
+   * @param {string} options.window - Spectral taper: 'hann' or 'none'
+   * @param {string} options.spectrum - 'periodogram' or 'welch'
+   * @param {number} options.zeroPadding - FFT length as a multiple of the next power of 2 of the window
+   * @param {string} options.peakInterpolation - 'gaussian', 'parabolic' or 'none'
+   * @param {number} options.harmonicRatio - Subharmonic power, relative to the peak, above which
+   *   a third or half of the peak frequency is reported; half of it suffices when another
+   *   harmonic confirms the subharmonic (0 disables the check)
+   * @param {boolean} options.tracking - Track the heart rate across windows
    */
   constructor(options = {}) {
     this.windowLength = options.windowLength || 300;
+    this.hopLength = options.hopLength || this.windowLength;
     this.sampleRate = options.sampleRate || 60;
     this.cardiacBandLow = options.cardiacBandLow || 0.75;
     this.cardiacBandHigh = options.cardiacBandHigh || 4.0;
     this.fftSize = options.fftSize || 256;
+    this.window = options.window || 'none';
+    this.spectrum = options.spectrum || 'periodogram';
+    this.zeroPadding = options.zeroPadding || 1;
+    this.peakInterpolation = options.peakInterpolation || 'none';
+    this.harmonicRatio = options.harmonicRatio || 0;
+    this.tracking = options.tracking === true;
+
+    this.tracker = new HeartRateTracker();
+    this.lastSpectrum = null;   // Spectrum of the last window, for SQIs
 
     this.previousVariance = 0;
     this.qualityFrameCount = 0;
@@ -32,11 +60,13 @@ export class SignalProcessor {
    *
    * @param {Float32Array} rawSignal - Raw PPG signal window
    * @param {Float32Array} detrendedSignal - Detrended PPG signal window
+   * @param {number} [sampleRate] - Effective sample rate of the window in Hz (defaults to the configured rate)
    * @returns {Object} Signal quality metrics
    */
-  process(rawSignal, detrendedSignal) {
-    // Compute FFT and PSD
-    const fftResult = computeFFT(detrendedSignal, this.fftSize, this.sampleRate);
+  process(rawSignal, detrendedSignal, sampleRate = this.sampleRate) {
+    // Compute PSD
+    const fftResult = this.computeSpectrum(detrendedSignal, sampleRate);
+    this.lastSpectrum = fftResult;
 
     // Calculate SNR from PSD
     const snrResult = calculateSNRFromPSD(
@@ -46,8 +76,9 @@ export class SignalProcessor {
       this.cardiacBandHigh
     );
 
-    // Calculate heart rate from peak frequency (Hz to BPM)
-    const heartRate = snrResult.peakFrequency * 60;
+    // Heart rate from the refined spectral peak (BPM)
+    const estimate = this.estimateHeartRate(fftResult, sampleRate);
+    const heartRate = estimate.heartRate;
 
     // Calculate IBI (Inter-Beat Interval) from heart rate
     let ibi = 0;
@@ -65,26 +96,89 @@ export class SignalProcessor {
     const qualityStatus = getQualityStatus(snrResult.snr_dB);
 
     // Generate guidance message
-    const guidanceMessage = generateGuidance(snrResult.snr_dB, piResult.pi, stability);
+    const guidanceMessage = generateGuidance(qualityStatus, piResult.pi, stability);
 
-    // Update quality frame counter
+    // Update quality frame counter (windows overlap, so each adds only its new samples)
     if (snrResult.snr_dB >= 5) {
-      this.qualityFrameCount += this.windowLength;
+      this.qualityFrameCount += this.hopLength;
     }
 
     return {
       snr_dB: snrResult.snr_dB,
       perfusionIndex: piResult.pi,
-      heartRate: Math.round(heartRate),
+      heartRate: Math.round(heartRate * 10) / 10,
+      heartRateConfidence: estimate.confidence,
       ibi,
       signalStability: stability,
       qualityStatus,
       guidanceMessage,
       qualityFrameCount: this.qualityFrameCount,
+      sampleRate,
       // Additional debug info
       signalPower: snrResult.signalPower,
       noisePower: snrResult.noisePower,
-      peakFrequency: snrResult.peakFrequency
+      peakFrequency: estimate.peakFrequency
+    };
+  }
+
+  /**
+   * Compute the power spectral density of a window
+   * The FFT is zero-padded to zeroPadding times the next power of 2 of the
+   * window (never truncated), which samples the spectrum finely enough for
+   * peak interpolation.
+   *
+   * @param {Float32Array} signal - Detrended signal window
+   * @param {number} [sampleRate] - Sample rate in Hz
+   * @returns {Object} { psd, fftSize, sampleRate, freqResolution }
+   */
+  computeSpectrum(signal, sampleRate = this.sampleRate) {
+    if (this.spectrum === 'welch') {
+      const segmentLength = Math.max(2, Math.floor(signal.length / 2));
+      const size = nextPowerOfTwo(Math.max(segmentLength, this.fftSize)) * this.zeroPadding;
+      return welchPSD(signal, size, sampleRate, segmentLength);
+    }
+
+    const size = nextPowerOfTwo(Math.max(signal.length, this.fftSize)) * this.zeroPadding;
+    return computeFFT(signal, size, sampleRate, this.window);
+  }
+
+  /**
+   * Estimate the heart rate from a spectrum
+   *
+   * @param {Object} spectrum - { psd, freqResolution }
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} { heartRate, confidence, peakFrequency } with heartRate in BPM,
+   *   confidence from 0 to 1 and peakFrequency the harmonic-corrected peak in Hz
+   */
+  estimateHeartRate(spectrum, sampleRate) {
+    const { psd, freqResolution } = spectrum;
+    const peaks = findSpectralPeaks(psd, freqResolution, this.cardiacBandLow, this.cardiacBandHigh, {
+      interpolation: this.peakInterpolation,
+      maxPeaks: 3
+    });
+
+    let candidates = peaks;
+    let peakFrequency = 0;
+    if (peaks.length > 0) {
+      const fundamental = findFundamental(
+        psd, freqResolution, peaks[0], this.cardiacBandLow, this.harmonicRatio, this.peakInterpolation
+      );
+      if (fundamental.harmonic) {
+        candidates = [fundamental, ...peaks];
+      }
+      peakFrequency = fundamental.frequency;
+    }
+
+    if (this.tracking) {
+      const tracked = this.tracker.update(candidates, this.hopLength / sampleRate);
+      return { heartRate: tracked.heartRate, confidence: tracked.confidence, peakFrequency };
+    }
+
+    const totalPower = candidates.reduce((sum, candidate) => sum + candidate.power, 0);
+    return {
+      heartRate: peakFrequency * 60,
+      confidence: totalPower > 0 ? candidates[0].power / totalPower : 0,
+      peakFrequency
     };
   }
 
@@ -146,5 +240,7 @@ export class SignalProcessor {
   reset() {
     this.previousVariance = 0;
     this.qualityFrameCount = 0;
+    this.lastSpectrum = null;
+    this.tracker.reset();
   }
 }
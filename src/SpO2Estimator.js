@@ -0,0 +1,179 @@
+import { median } from './utils/helpers.js';
+import { solveLinear } from './utils/linalg.js';
+
+// Textbook transmissive pulse oximeter curve (SpO2 = 110 - 25 R); not valid for phone cameras
+const DEFAULT_CALIBRATION = { coefficients: [110, -25], residualSD: 5 };
+
+/**
+ * Evaluate a calibration curve and its slope
+ *
+ * @param {Object|Function} calibration - { coefficients } polynomial in R (lowest order first) or (ratio) => SpO2
+ * @param {number} ratio - Ratio of ratios
+ * @returns {Object} { value, slope }
+ */
+function evaluate(calibration, ratio) {
+  if (typeof calibration === 'function') {
+    const h = 1e-3;
+    return {
+      value: calibration(ratio),
+      slope: (calibration(ratio + h) - calibration(ratio - h)) / (2 * h)
+    };
+  }
+
+  let value = 0;
+  let slope = 0;
+  calibration.coefficients.forEach((c, k) => {
+    value += c * Math.pow(ratio, k);
+    if (k > 0) slope += k * c * Math.pow(ratio, k - 1);
+  });
+  return { value, slope };
+}
+
+/**
+ * SpO2 Estimator - EXPERIMENTAL camera oximetry for research
+ * Oxygenated and deoxygenated haemoglobin absorb red and blue/green light
+ * differently, so the ratio of the per-channel perfusion indices
+ * (R = (AC/DC)red / (AC/DC)reference) varies with SpO2. R is mapped to SpO2 by a
+ * calibration curve that must be fitted per device against a reference
+ * oximeter; without one a textbook curve is used and readings are meaningless
+ * in absolute terms. Not for clinical use.
+ */
+export class SpO2Estimator {
+  /**
+   * Create an SpO2 Estimator
+   * @param {Object} options - SpO2 options
+   * @param {string} options.referenceChannel - 'blue' or 'green'
+   * @param {Object|Function|null} options.calibration - { coefficients, residualSD } polynomial in R
+   *   (see fitCalibration()) or a function (ratio) => SpO2; null for the uncalibrated default curve
+   * @param {number} options.historyLength - Windows of ratios combined into an estimate
+   */
+  constructor(options = {}) {
+    this.referenceChannel = options.referenceChannel === 'green' ? 'green' : 'blue';
+    this.historyLength = options.historyLength || 10;
+    this.setCalibration(options.calibration || null);
+
+    this.reset();
+  }
+
+  /**
+   * Use a calibration curve
+   * @param {Object|Function|null} calibration - { coefficients, residualSD }, a function
+   *   (ratio) => SpO2, or null for the uncalibrated default curve
+   */
+  setCalibration(calibration) {
+    if (calibration && typeof calibration !== 'function' && !Array.isArray(calibration.coefficients)) {
+      throw new TypeError('SpO2 calibration needs coefficients or must be a function');
+    }
+    this.calibration = calibration;
+  }
+
+  /**
+   * Add the perfusion indices of a window
+   *
+   * @param {number} redPI - Perfusion index of the red channel (%)
+   * @param {number} referencePI - Perfusion index of the reference channel (%)
+   * @returns {Object|null} Estimate (see estimate()), or null until a ratio is available
+   */
+  update(redPI, referencePI) {
+    if (redPI > 0 && referencePI > 0) {
+      this.ratios.push(redPI / referencePI);
+      if (this.ratios.length > this.historyLength) this.ratios.shift();
+    }
+    return this.estimate();
+  }
+
+  /**
+   * Current estimate
+   * @returns {Object|null} { spo2, lower, upper, ratio, calibrated, experimental, referenceChannel }
+   *   where lower/upper bound the 95% interval (null with fewer than 3 windows); always
+   *   experimental, and calibrated is false while the default curve is used
+   */
+  estimate() {
+    if (this.ratios.length === 0) return null;
+
+    const calibration = this.calibration || DEFAULT_CALIBRATION;
+    const ratio = median(this.ratios);
+    const { value, slope } = evaluate(calibration, ratio);
+    const spo2 = Math.max(0, Math.min(100, value));
+
+    // Ratio scatter across windows propagated through the curve, plus the calibration residual
+    let lower = null;
+    let upper = null;
+    const n = this.ratios.length;
+    if (n >= 3) {
+      const mean = this.ratios.reduce((sum, r) => sum + r, 0) / n;
+      const ratioSD = Math.sqrt(this.ratios.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (n - 1));
+      const residualSD = typeof calibration === 'function' ? 0 : (calibration.residualSD || 0);
+      const sd = Math.sqrt(Math.pow(slope * ratioSD, 2) + residualSD * residualSD);
+      lower = Math.max(0, spo2 - 1.96 * sd);
+      upper = Math.min(100, spo2 + 1.96 * sd);
+    }
+
+    return {
+      spo2,
+      lower,
+      upper,
+      ratio,
+      calibrated: this.calibration !== null,
+      experimental: true,
+      referenceChannel: this.referenceChannel
+    };
+  }
+
+  /**
+   * Fit a calibration curve to paired readings
+   * Record metrics.spo2.ratio while a reference oximeter reads the same finger,
+   * over a range of saturations (e.g. a supervised desaturation study).
+   *
+   * @param {Array} pairs - Paired readings { ratio, spo2 }
+   * @param {number} [degree=1] - Polynomial degree (1 or 2)
+   * @returns {Object} { coefficients, residualSD, r2, count } for setCalibration() or the
+   *   calibration option
+   */
+  static fitCalibration(pairs, degree = 1) {
+    const terms = degree + 1;
+    if (!Array.isArray(pairs) || pairs.length < terms + 1) {
+      throw new Error(`At least ${terms + 1} paired readings are needed for a degree ${degree} fit`);
+    }
+
+    // Least squares via the normal equations
+    const A = Array.from({ length: terms }, () => new Array(terms).fill(0));
+    const b = new Array(terms).fill(0);
+    pairs.forEach(({ ratio, spo2 }) => {
+      for (let i = 0; i < terms; i++) {
+        b[i] += spo2 * Math.pow(ratio, i);
+        for (let j = 0; j < terms; j++) A[i][j] += Math.pow(ratio, i + j);
+      }
+    });
+
+    const coefficients = solveLinear(A, b);
+    if (!coefficients) {
+      throw new Error('Paired readings must cover more than one ratio');
+    }
+
+    const mean = pairs.reduce((sum, p) => sum + p.spo2, 0) / pairs.length;
+    let sse = 0;
+    let sst = 0;
+    pairs.forEach(({ ratio, spo2 }) => {
+      const residual = spo2 - evaluate({ coefficients }, ratio).value;
+      sse += residual * residual;
+      sst += (spo2 - mean) * (spo2 - mean);
+    });
+
+    return {
+      coefficients,
+      residualSD: Math.sqrt(sse / (pairs.length - terms)),
+      r2: sst > 0 ? 1 - sse / sst : 0,
+      count: pairs.length
+    };
+  }
+
+  /**
+   * Clear the ratio history (the calibration is kept)
+   */
+  reset() {
+    this.ratios = [];
+  }
+}
+
+export default SpO2Estimator;
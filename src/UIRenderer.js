@@ -22,13 +22,18 @@ export class UIRenderer {
 
   /**
    * Render the complete UI structure
-   * @param {HTMLVideoElement} videoElement - Video element for camera preview
-   * @param {HTMLCanvasElement} canvasElement - Canvas element for processing
+   * @param {HTMLElement|null} videoElement - Video or canvas element for the source preview
+   * @param {HTMLCanvasElement|null} canvasElement - Canvas element for processing
    * @param {Function} onStartCallback - Callback when measure button is clicked
    */
   render(videoElement, canvasElement, onStartCallback) {
-    // Clear container
+    // Clear container (render runs again on every start)
+    if (this.chart) {
+      this.chart.destroy();
+      this.chart = null;
+    }
     this.container.innerHTML = '';
+    this.elements = {};
 
     // Create measure button
     const button = document.createElement('button');
@@ -53,8 +58,10 @@ export class UIRenderer {
     const videoContainer = document.createElement('div');
     videoContainer.className = 'video-container';
 
-    videoElement.id = 'ppg-video';
-    videoContainer.appendChild(videoElement);
+    if (videoElement) {
+      videoElement.id = 'ppg-video';
+      videoContainer.appendChild(videoElement);
+    }
 
     // Finger guide overlay
     const fingerGuide = document.createElement('div');
@@ -85,7 +92,8 @@ export class UIRenderer {
       { label: 'SNR:', id: 'snr-value', defaultValue: '-- dB' },
       { label: 'Perfusion Index:', id: 'pi-value', defaultValue: '--%' },
       { label: 'Heart Rate:', id: 'hr-value', defaultValue: '-- BPM' },
-      { label: 'IBI:', id: 'ibi-value', defaultValue: '-- ms' }
+      { label: 'IBI:', id: 'ibi-value', defaultValue: '-- ms' },
+      { label: 'Respiration:', id: 'rr-value', defaultValue: '-- br/min' }
     ];
 
     metrics.forEach(metric => {
@@ -129,9 +137,11 @@ export class UIRenderer {
     this.container.appendChild(previewQualityContainer);
 
     // Canvas (hidden, only for processing)
-    canvasElement.id = 'ppg-canvas';
-    canvasElement.style.display = 'none';
-    this.container.appendChild(canvasElement);
+    if (canvasElement) {
+      canvasElement.id = 'ppg-canvas';
+      canvasElement.style.display = 'none';
+      this.container.appendChild(canvasElement);
+    }
 
     // Chart container
     if (this.options.showChart) {
@@ -188,8 +198,11 @@ export class UIRenderer {
 
     this.elements['snr-value'].textContent = metrics.snr_dB.toFixed(1) + ' dB';
     this.elements['pi-value'].textContent = metrics.perfusionIndex.toFixed(1) + '%';
-    this.elements['hr-value'].textContent = metrics.heartRate + ' BPM';
+    this.elements['hr-value'].textContent = Math.round(metrics.heartRate) + ' BPM';
     this.elements['ibi-value'].textContent = metrics.ibi > 0 ? metrics.ibi + ' ms' : '-- ms';
+    this.elements['rr-value'].textContent = metrics.respiratoryRate ?
+      `${Math.round(metrics.respiratoryRate)} br/min (${Math.round(metrics.respiratoryConfidence * 100)}%)` :
+      '-- br/min';
 
     // Update quality status
     const statusElement = this.elements.qualityStatus;
@@ -210,6 +223,67 @@ export class UIRenderer {
     this.elements.guidanceMessage.textContent = metrics.guidanceMessage;
   }
 
+  /**
+   * Update the guidance message only
+   * @param {string} message - Guidance text
+   */
+  updateGuidance(message) {
+    if (this.elements.guidanceMessage) {
+      this.elements.guidanceMessage.textContent = message;
+    }
+  }
+
+  /**
+   * Show measurement progress as a ring around the finger guide
+   * @param {number} progress - Fraction of the measurement completed (0-1)
+   * @param {boolean} paused - Whether the measurement is waiting for better quality
+   */
+  updateProgress(progress, paused) {
+    if (!this.elements.guideCircle) return;
+
+    if (!this.elements.progressRing) {
+      const svgNS = 'http://www.w3.org/2000/svg';
+      const ring = document.createElementNS(svgNS, 'svg');
+      ring.setAttribute('class', 'progress-ring');
+      ring.setAttribute('viewBox', '0 0 120 120');
+
+      const track = document.createElementNS(svgNS, 'circle');
+      track.setAttribute('class', 'progress-ring-track');
+      const bar = document.createElementNS(svgNS, 'circle');
+      bar.setAttribute('class', 'progress-ring-bar');
+
+      [track, bar].forEach(circle => {
+        circle.setAttribute('cx', '60');
+        circle.setAttribute('cy', '60');
+        circle.setAttribute('r', '56');
+        ring.appendChild(circle);
+      });
+
+      const circumference = 2 * Math.PI * 56;
+      bar.style.strokeDasharray = `${circumference}`;
+
+      this.elements.guideCircle.appendChild(ring);
+      this.elements.progressRing = ring;
+      this.elements.progressBar = bar;
+      this.progressCircumference = circumference;
+    }
+
+    const fraction = Math.min(1, Math.max(0, progress));
+    this.elements.progressBar.style.strokeDashoffset = `${this.progressCircumference * (1 - fraction)}`;
+    this.elements.progressRing.classList.toggle('paused', paused);
+  }
+
+  /**
+   * Remove the measurement progress ring
+   */
+  hideProgress() {
+    if (this.elements.progressRing) {
+      this.elements.progressRing.remove();
+      this.elements.progressRing = null;
+      this.elements.progressBar = null;
+    }
+  }
+
   /**
    * Update technical info display
    * @param {Object} info - Technical information
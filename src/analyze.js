@@ -0,0 +1,100 @@
+import { PPGPipeline } from './PPGPipeline.js';
+import { HRVAnalyzer } from './HRVAnalyzer.js';
+import { createDefaultOptions, median } from './utils/helpers.js';
+
+/**
+ * Analyse a recorded PPG signal offline
+ * Runs the same pipeline as PPGMonitor over every sample, without a camera or DOM
+ *
+ * @param {Array|Float32Array} samples - Signal values (inverted, normalized channel means)
+ * @param {Object} options - Analysis options
+ * @param {number} [options.sampleRate] - Sample rate in Hz (required without timestamps)
+ * @param {Array|Float64Array} [options.timestamps] - Per-sample timestamps in ms
+ * @param {Object} [options.signal] - Signal options (windowLength, hopLength, ...)
+ * @param {Object} [options.respiration] - Respiration options
+ * @param {Object} [options.morphology] - Morphology options ({ enabled: true } adds metrics.morphology)
+ * @param {Object} [options.rhythm] - Rhythm options ({ enabled: true } adds metrics.rhythm)
+ * @param {Object} [options.hrv] - HRV options
+ * @returns {Object} { windows, beats, artifacts, rhythmEvents, summary } where windows holds the
+ *   metrics of every analysed window with its time in ms, artifacts the masked motion segments
+ *   and rhythmEvents the irregular rhythm events (with rhythm screening enabled)
+ */
+export function analyzeSignal(samples, options = {}) {
+  const { sampleRate, timestamps } = options;
+  if (!(sampleRate > 0) && !timestamps) {
+    throw new Error('analyzeSignal requires a sampleRate or timestamps');
+  }
+  if (timestamps && timestamps.length !== samples.length) {
+    throw new Error('timestamps must have one entry per sample');
+  }
+
+  const config = createDefaultOptions({
+    ...options,
+    signal: sampleRate > 0 ? { ...options.signal, sampleRate } : options.signal
+  });
+  const pipeline = new PPGPipeline(config);
+
+  const timeAt = (i) => (timestamps ? timestamps[i] : (i * 1000) / sampleRate);
+  const windows = [];
+  const beats = [];
+  const rhythmEvents = [];
+
+  for (let i = 0; i < samples.length; i++) {
+    const timestamp = timeAt(i);
+    const result = pipeline.processFrame({ timestamp, value: samples[i] });
+
+    if (result.metrics) {
+      windows.push({ time: timestamp, ...result.metrics });
+      beats.push(...result.beats);
+      rhythmEvents.push(...result.rhythmEvents);
+    }
+  }
+
+  const duration = samples.length > 1 ? (timeAt(samples.length - 1) - timeAt(0)) / 1000 : 0;
+
+  return {
+    windows,
+    beats,
+    artifacts: pipeline.artifactDetector.getSegments(),
+    rhythmEvents,
+    summary: summarize(windows, beats, duration, config.hrv)
+  };
+}
+
+/**
+ * Summarise an analysis
+ *
+ * @param {Array} windows - Window metrics
+ * @param {Array} beats - Detected beats
+ * @param {number} duration - Signal duration in seconds
+ * @param {Object} hrvOptions - HRV options
+ * @returns {Object} Summary
+ */
+function summarize(windows, beats, duration, hrvOptions) {
+  const values = (key) => windows.map(w => w[key]).filter(v => v !== null && v !== undefined && isFinite(v));
+  const medianOf = (key) => {
+    const list = values(key);
+    return list.length > 0 ? median(list) : null;
+  };
+
+  // Measured intervals give the heart rate when beats were found
+  const ibis = beats.filter(beat => beat.ibi !== null).map(beat => beat.ibi);
+  const heartRate = ibis.length > 0 ? 60000 / median(ibis) : medianOf('heartRate');
+
+  const respiratoryRates = values('respiratoryRate');
+  const last = windows[windows.length - 1];
+
+  return {
+    duration,
+    windowCount: windows.length,
+    beatCount: beats.length,
+    heartRate: heartRate !== null ? Math.round(heartRate) : null,
+    snr_dB: medianOf('snr_dB'),
+    perfusionIndex: medianOf('perfusionIndex'),
+    respiratoryRate: respiratoryRates.length > 0 ? respiratoryRates[respiratoryRates.length - 1] : null,
+    qualityStatus: last ? last.qualityStatus : null,
+    hrv: new HRVAnalyzer({ ...hrvOptions, windowDuration: 0 }).analyze(beats)
+  };
+}
+
+export default analyzeSignal;
@@ -0,0 +1,94 @@
+/**
+ * PPG JS core - DOM-free analysis entry point
+ * Loads in Node.js and other non-browser runtimes: no CSS, D3 or camera code
+ * @module ppg-js/core
+ */
+
+import { analyzeSignal } from './analyze.js';
+import { PPGPipeline } from './PPGPipeline.js';
+import { SignalProcessor } from './SignalProcessor.js';
+import { HeartRateTracker } from './HeartRateTracker.js';
+import { BeatDetector } from './BeatDetector.js';
+import { HRVAnalyzer, lombScargle } from './HRVAnalyzer.js';
+import { RespirationEstimator } from './RespirationEstimator.js';
+import { SpO2Estimator } from './SpO2Estimator.js';
+import { MorphologyAnalyzer } from './MorphologyAnalyzer.js';
+import { RhythmAnalyzer } from './RhythmAnalyzer.js';
+import { BPEstimator, BP_FEATURES } from './BPEstimator.js';
+import { LinearBPModel } from './LinearBPModel.js';
+import { ChannelExtractor } from './ChannelExtractor.js';
+import { ArtifactDetector } from './ArtifactDetector.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { MeasurementSession } from './MeasurementSession.js';
+import { QualityAssessor, QUALITY_GRADES, BUILTIN_SQIS } from './QualityAssessor.js';
+import { PPGError, CameraError, SignalError, ProcessingError, ERROR_CODES } from './errors.js';
+import { detrend } from './utils/detrend.js';
+import {
+  computeFFT,
+  welchPSD,
+  calculateSNRFromPSD,
+  interpolateSpectralPeak,
+  findSpectralPeaks,
+  findFundamental
+} from './utils/fft.js';
+import { resampleUniform, estimateSampleRate, upsampleCubic } from './utils/resample.js';
+import { encodeSession, importSession } from './utils/session.js';
+import { zeroCrossingRate, templateCorrelation, spectralEntropy } from './utils/sqi.js';
+import {
+  designButterworth,
+  designNotch,
+  filtfilt,
+  IIRFilter,
+  movingAverage,
+  savitzkyGolay
+} from './utils/filters.js';
+
+export {
+  analyzeSignal,
+  PPGPipeline,
+  SignalProcessor,
+  HeartRateTracker,
+  BeatDetector,
+  HRVAnalyzer,
+  lombScargle,
+  RespirationEstimator,
+  SpO2Estimator,
+  MorphologyAnalyzer,
+  RhythmAnalyzer,
+  BPEstimator,
+  BP_FEATURES,
+  LinearBPModel,
+  ChannelExtractor,
+  ArtifactDetector,
+  SessionRecorder,
+  MeasurementSession,
+  QualityAssessor,
+  QUALITY_GRADES,
+  BUILTIN_SQIS,
+  PPGError,
+  CameraError,
+  SignalError,
+  ProcessingError,
+  ERROR_CODES,
+  encodeSession,
+  importSession,
+  zeroCrossingRate,
+  templateCorrelation,
+  spectralEntropy,
+  detrend,
+  computeFFT,
+  calculateSNRFromPSD,
+  welchPSD,
+  interpolateSpectralPeak,
+  findSpectralPeaks,
+  findFundamental,
+  designButterworth,
+  designNotch,
+  filtfilt,
+  IIRFilter,
+  movingAverage,
+  savitzkyGolay,
+  resampleUniform,
+  estimateSampleRate,
+  upsampleCubic
+};
@@ -0,0 +1,155 @@
+/**
+ * PPG errors
+ * Every error has a stable code, a user-facing message that says what to do,
+ * and whether it ended the session (fatal) or processing continues.
+ */
+
+/**
+ * Error codes with their user-facing messages and default severity
+ */
+export const ERROR_CODES = {
+  INSECURE_CONTEXT: {
+    userMessage: 'Camera access requires a secure (HTTPS) connection.',
+    fatal: true
+  },
+  CAMERA_UNSUPPORTED: {
+    userMessage: 'This browser does not support camera access. Try a current version of Chrome, Safari or Firefox.',
+    fatal: true
+  },
+  PERMISSION_DENIED: {
+    userMessage: 'Camera access was denied. Allow camera access in your browser settings and try again.',
+    fatal: true
+  },
+  NO_CAMERA: {
+    userMessage: 'No suitable camera was found on this device.',
+    fatal: true
+  },
+  CAMERA_IN_USE: {
+    userMessage: 'The camera is in use by another app. Close it and try again.',
+    fatal: true
+  },
+  OVERCONSTRAINED: {
+    userMessage: 'The camera does not support the requested settings.',
+    fatal: true
+  },
+  TORCH_UNAVAILABLE: {
+    userMessage: 'The flashlight could not be turned on. Measure in bright light or use a device with a flashlight.',
+    fatal: false
+  },
+  LOW_FRAME_RATE: {
+    userMessage: 'The camera is delivering too few frames for a reliable reading. Close other apps and keep the page in front.',
+    fatal: false
+  },
+  TRACK_ENDED: {
+    userMessage: 'The camera stopped unexpectedly. Start the measurement again.',
+    fatal: true
+  },
+  PAGE_HIDDEN: {
+    userMessage: 'The measurement was paused because the page went to the background.',
+    fatal: false
+  },
+  SOURCE_FAILED: {
+    userMessage: 'The video source could not be opened.',
+    fatal: true
+  },
+  WORKER_FAILED: {
+    userMessage: 'Signal processing failed. Reload the page and try again.',
+    fatal: true
+  },
+  PROCESSING_FAILED: {
+    userMessage: 'A frame could not be processed.',
+    fatal: false
+  }
+};
+
+/**
+ * Base class of all PPG errors
+ */
+export class PPGError extends Error {
+  /**
+   * Create a PPG error
+   * @param {string} code - Error code (see ERROR_CODES)
+   * @param {string} [message] - Developer-facing message (defaults to the user-facing one)
+   * @param {Object} [options] - { cause, fatal, details }
+   */
+  constructor(code, message, options = {}) {
+    const info = ERROR_CODES[code] || { userMessage: 'An unexpected error occurred.', fatal: true };
+    super(message || info.userMessage);
+
+    this.name = 'PPGError';
+    this.code = code;
+    this.userMessage = info.userMessage;
+    this.fatal = options.fatal !== undefined ? options.fatal : info.fatal;
+    this.cause = options.cause;
+    this.details = options.details || null;
+  }
+}
+
+/**
+ * Camera access and camera track errors
+ */
+export class CameraError extends PPGError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'CameraError';
+  }
+}
+
+/**
+ * Signal acquisition problems (frame rate, page visibility)
+ */
+export class SignalError extends PPGError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'SignalError';
+  }
+}
+
+/**
+ * Processing worker and pipeline errors
+ */
+export class ProcessingError extends PPGError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'ProcessingError';
+  }
+}
+
+/**
+ * Convert a getUserMedia DOMException into a CameraError
+ *
+ * @param {Error} error - Error thrown by getUserMedia
+ * @returns {CameraError} Camera error with the original as cause
+ */
+export function toCameraError(error) {
+  if (error instanceof PPGError) return error;
+
+  const codes = {
+    NotAllowedError: 'PERMISSION_DENIED',
+    PermissionDeniedError: 'PERMISSION_DENIED',
+    SecurityError: 'PERMISSION_DENIED',
+    NotFoundError: 'NO_CAMERA',
+    DevicesNotFoundError: 'NO_CAMERA',
+    NotReadableError: 'CAMERA_IN_USE',
+    TrackStartError: 'CAMERA_IN_USE',
+    AbortError: 'CAMERA_IN_USE',
+    OverconstrainedError: 'OVERCONSTRAINED',
+    ConstraintNotSatisfiedError: 'OVERCONSTRAINED'
+  };
+  const code = codes[error.name] || 'SOURCE_FAILED';
+  const detail = error.constraint ? ` (${error.constraint})` : '';
+
+  return new CameraError(code, `${error.name}: ${error.message}${detail}`, { cause: error });
+}
+
+/**
+ * Wrap any error as a PPGError
+ *
+ * @param {Error} error - Error
+ * @param {string} [code='SOURCE_FAILED'] - Code used for errors that are not PPGErrors
+ * @returns {PPGError}
+ */
+export function toPPGError(error, code = 'SOURCE_FAILED') {
+  if (error instanceof PPGError) return error;
+  return new PPGError(code, error && error.message, { cause: error });
+}
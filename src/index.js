@@ -4,9 +4,57 @@
  */
 
 import PPGMonitor from './PPGMonitor.js';
+import { analyzeSignal } from './analyze.js';
+import { PPGPipeline } from './PPGPipeline.js';
+import { EventEmitter } from './EventEmitter.js';
 import { SignalProcessor } from './SignalProcessor.js';
+import { HeartRateTracker } from './HeartRateTracker.js';
+import { BeatDetector } from './BeatDetector.js';
+import { HRVAnalyzer, lombScargle } from './HRVAnalyzer.js';
+import { RespirationEstimator } from './RespirationEstimator.js';
+import { SpO2Estimator } from './SpO2Estimator.js';
+import { MorphologyAnalyzer } from './MorphologyAnalyzer.js';
+import { RhythmAnalyzer } from './RhythmAnalyzer.js';
+import { BPEstimator, BP_FEATURES } from './BPEstimator.js';
+import { LinearBPModel } from './LinearBPModel.js';
+import { ChannelExtractor } from './ChannelExtractor.js';
+import { ArtifactDetector } from './ArtifactDetector.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { MeasurementSession } from './MeasurementSession.js';
+import { QualityAssessor, QUALITY_GRADES, BUILTIN_SQIS } from './QualityAssessor.js';
+import { CameraController } from './CameraController.js';
+import { CameraCalibrator } from './CameraCalibrator.js';
+import { PPGError, CameraError, SignalError, ProcessingError, ERROR_CODES } from './errors.js';
 import { detrend } from './utils/detrend.js';
-import { computeFFT, calculateSNRFromPSD } from './utils/fft.js';
+import {
+  computeFFT,
+  welchPSD,
+  calculateSNRFromPSD,
+  interpolateSpectralPeak,
+  findSpectralPeaks,
+  findFundamental
+} from './utils/fft.js';
+import { resampleUniform, estimateSampleRate, upsampleCubic } from './utils/resample.js';
+import { encodeSession, importSession } from './utils/session.js';
+import { zeroCrossingRate, templateCorrelation, spectralEntropy } from './utils/sqi.js';
+import { listCameras, loadCameraChoice, clearCameraChoice } from './utils/camera.js';
+import {
+  designButterworth,
+  designNotch,
+  filtfilt,
+  IIRFilter,
+  movingAverage,
+  savitzkyGolay
+} from './utils/filters.js';
+import {
+  createFrameSource,
+  FrameSource,
+  VideoSource,
+  MediaStreamSource,
+  CameraSource,
+  CanvasSource,
+  ArraySource
+} from './sources/index.js';
 import './styles/ppg-monitor.css';
 
 // Export main class as default
@@ -15,8 +63,64 @@ export default PPGMonitor;
 // Export additional utilities for advanced users
 export {
   PPGMonitor,
+  analyzeSignal,
+  PPGPipeline,
+  EventEmitter,
   SignalProcessor,
+  HeartRateTracker,
+  BeatDetector,
+  HRVAnalyzer,
+  lombScargle,
+  RespirationEstimator,
+  SpO2Estimator,
+  MorphologyAnalyzer,
+  RhythmAnalyzer,
+  BPEstimator,
+  BP_FEATURES,
+  LinearBPModel,
+  ChannelExtractor,
+  ArtifactDetector,
+  SessionRecorder,
+  MeasurementSession,
+  QualityAssessor,
+  QUALITY_GRADES,
+  BUILTIN_SQIS,
+  CameraController,
+  CameraCalibrator,
+  PPGError,
+  CameraError,
+  SignalError,
+  ProcessingError,
+  ERROR_CODES,
+  encodeSession,
+  importSession,
+  listCameras,
+  loadCameraChoice,
+  clearCameraChoice,
+  zeroCrossingRate,
+  templateCorrelation,
+  spectralEntropy,
   detrend,
   computeFFT,
-  calculateSNRFromPSD
+  calculateSNRFromPSD,
+  welchPSD,
+  interpolateSpectralPeak,
+  findSpectralPeaks,
+  findFundamental,
+  designButterworth,
+  designNotch,
+  filtfilt,
+  IIRFilter,
+  movingAverage,
+  savitzkyGolay,
+  resampleUniform,
+  estimateSampleRate,
+  upsampleCubic,
+  createFrameSource,
+  FrameSource,
+  VideoSource,
+  MediaStreamSource,
+  CameraSource,
+  CanvasSource,
+  ArraySource
 };
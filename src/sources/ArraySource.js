@@ -0,0 +1,59 @@
+import { FrameSource } from './FrameSource.js';
+
+/**
+ * Frame source backed by raw sample values
+ * Samples are already-extracted signal values on the same scale as the camera
+ * signal (inverted, normalized red mean). Useful for test fixtures and replays.
+ */
+export class ArraySource extends FrameSource {
+  /**
+   * Create an array frame source
+   * @param {Array|Float32Array|Function} samples - Sample values, or a function (index, timeMs) => value
+   * @param {Object} [options] - Source options
+   * @param {number} [options.sampleRate=60] - Sample rate in Hz used for timestamps
+   * @param {Array|Float64Array} [options.timestamps] - Explicit per-sample timestamps in ms
+   * @param {boolean} [options.loop=false] - Restart from the first sample at the end
+   */
+  constructor(samples, options = {}) {
+    super();
+    this.samples = samples;
+    this.sampleRate = options.sampleRate || 60;
+    this.timestamps = options.timestamps || null;
+    this.loop = !!options.loop;
+    this.index = 0;
+  }
+
+  /**
+   * Rewind to the first sample
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.index = 0;
+    this.ended = false;
+  }
+
+  /**
+   * Read the next sample
+   * @returns {Object|null} { timestamp, value }
+   */
+  readFrame() {
+    const i = this.index;
+    const timestamp = this.timestamps ? this.timestamps[i] : (i * 1000) / this.sampleRate;
+
+    if (typeof this.samples === 'function') {
+      this.index++;
+      return { timestamp, value: this.samples(i, timestamp) };
+    }
+
+    // Explicit timestamps cannot be extended, so they never loop
+    if (i >= this.samples.length && (!this.loop || this.timestamps)) {
+      this.ended = true;
+      return null;
+    }
+
+    this.index++;
+    return { timestamp, value: this.samples[i % this.samples.length] };
+  }
+}
+
+export default ArraySource;
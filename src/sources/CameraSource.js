@@ -0,0 +1,136 @@
+import { MediaStreamSource } from './MediaStreamSource.js';
+import { CameraController } from '../CameraController.js';
+import { loadCameraChoice, clearCameraChoice } from '../utils/camera.js';
+import { CameraError, toCameraError } from '../errors.js';
+
+// Camera options handled by the controller rather than getUserMedia
+const CONTROL_OPTIONS = ['torch', 'lockExposure', 'lockWhiteBalance', 'lockFocus', 'exposureTime', 'iso', 'colorTemperature'];
+
+/**
+ * Frame source backed by the device camera
+ * Requests camera access with getUserMedia; torch, exposure, white balance and
+ * focus are managed by a CameraController. Without a deviceId the camera picked
+ * by calibration is used if one was remembered, otherwise facingMode decides.
+ */
+export class CameraSource extends MediaStreamSource {
+  /**
+   * Create a camera frame source
+   * @param {Object} [options] - Video constraints passed to getUserMedia, plus the
+   *   CameraController options (torch, lockExposure, lockWhiteBalance, lockFocus,
+   *   exposureTime, iso, colorTemperature)
+   * @param {string|null} [options.deviceId] - Camera to open
+   * @param {boolean} [options.remember] - Use the remembered camera when deviceId is not set (default true)
+   */
+  constructor(options = {}) {
+    super(null);
+
+    const { deviceId = null, remember = true, ...rest } = options;
+    this.deviceId = deviceId;
+    this.remember = remember;
+    this.activeDeviceId = null;  // Camera actually opened
+
+    const controls = {};
+    this.constraints = {};
+    Object.keys(rest).forEach(key => {
+      if (CONTROL_OPTIONS.includes(key)) {
+        controls[key] = rest[key];
+      } else {
+        this.constraints[key] = rest[key];
+      }
+    });
+
+    this.controller = new CameraController(controls);
+    this.warmupFrames = 100; // Let exposure settle before processing
+  }
+
+  /**
+   * Request camera access and start playback
+   * @returns {Promise<void>}
+   * @throws {CameraError} INSECURE_CONTEXT, CAMERA_UNSUPPORTED, PERMISSION_DENIED, NO_CAMERA,
+   *   CAMERA_IN_USE or OVERCONSTRAINED
+   */
+  async open() {
+    // mediaDevices is missing on insecure pages, so check that first
+    if (typeof window !== 'undefined' && window.isSecureContext === false) {
+      throw new CameraError('INSECURE_CONTEXT', 'getUserMedia requires a secure context (HTTPS or localhost)');
+    }
+    if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new CameraError('CAMERA_UNSUPPORTED', 'navigator.mediaDevices.getUserMedia is not available');
+    }
+
+    const remembered = !this.deviceId && this.remember ? loadCameraChoice() : null;
+    const deviceId = this.deviceId || (remembered && remembered.deviceId);
+
+    try {
+      this.stream = await this.getUserMedia(deviceId);
+    } catch (error) {
+      // The remembered camera may be gone (other browser profile, device changed)
+      if (!remembered || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+        throw toCameraError(error);
+      }
+      clearCameraChoice();
+      try {
+        this.stream = await this.getUserMedia(null);
+      } catch (retryError) {
+        throw toCameraError(retryError);
+      }
+    }
+
+    const track = this.getVideoTrack();
+    const settings = typeof track.getSettings === 'function' ? track.getSettings() : {};
+    this.activeDeviceId = settings.deviceId || deviceId || null;
+
+    await this.controller.attach(track);
+    await super.open();
+  }
+
+  /**
+   * Request the camera stream
+   * @param {string|null} deviceId - Exact camera to open, or null to use the facingMode constraint
+   * @returns {Promise<MediaStream>}
+   */
+  getUserMedia(deviceId) {
+    const video = { ...this.constraints };
+    if (deviceId) {
+      delete video.facingMode;
+      video.deviceId = { exact: deviceId };
+    }
+
+    return navigator.mediaDevices.getUserMedia({ audio: false, video });
+  }
+
+  /**
+   * Switch to another camera
+   * @param {string} deviceId - Camera device ID (see listCameras())
+   * @returns {Promise<void>}
+   */
+  async setDevice(deviceId) {
+    this.deviceId = deviceId;
+    await this.restart();
+  }
+
+  /**
+   * Reopen the camera with a new track
+   * The torch and lock state of the previous track are re-applied
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    this.close();
+    await this.open();
+  }
+
+  /**
+   * Stop the camera
+   */
+  close() {
+    super.close();
+    this.controller.detach();
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+}
+
+export default CameraSource;
@@ -0,0 +1,62 @@
+import { FrameSource } from './FrameSource.js';
+
+/**
+ * Frame source backed by a canvas or bitmap
+ * Accepts an HTMLCanvasElement, OffscreenCanvas, ImageBitmap or ImageData,
+ * or a function returning one of these for every frame (synthetic streams)
+ */
+export class CanvasSource extends FrameSource {
+  /**
+   * Create a canvas frame source
+   * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap|ImageData|Function} input - Image input
+   */
+  constructor(input) {
+    super();
+    this.input = input;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    if (typeof HTMLCanvasElement !== 'undefined' && input instanceof HTMLCanvasElement) {
+      this.element = input;
+    }
+  }
+
+  /**
+   * Read the current image
+   * @returns {Object|null} { timestamp, imageData }
+   */
+  readFrame() {
+    const image = typeof this.input === 'function' ? this.input() : this.input;
+    if (!image) {
+      return null;
+    }
+
+    const timestamp = performance.now();
+
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+      this.width = image.width;
+      this.height = image.height;
+      // Copy so the caller's pixels are never transferred to a worker
+      return {
+        timestamp,
+        imageData: new ImageData(new Uint8ClampedArray(image.data), image.width, image.height)
+      };
+    }
+
+    if (this.canvas.width !== image.width || this.canvas.height !== image.height) {
+      this.canvas.width = image.width;
+      this.canvas.height = image.height;
+    }
+    this.width = image.width;
+    this.height = image.height;
+
+    this.ctx.drawImage(image, 0, 0);
+
+    return {
+      timestamp,
+      imageData: this.ctx.getImageData(0, 0, this.width, this.height)
+    };
+  }
+}
+
+export default CanvasSource;
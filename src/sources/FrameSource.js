@@ -0,0 +1,50 @@
+/**
+ * Base class for frame sources
+ * A frame source feeds the PPG pipeline with one frame per call to readFrame(),
+ * regardless of where the frames come from (camera, recorded video, canvas, arrays)
+ */
+export class FrameSource {
+  constructor() {
+    this.element = null;     // Element used for preview (video or canvas), if any
+    this.width = 0;
+    this.height = 0;
+    this.ended = false;      // True once a finite source has no more frames
+    this.warmupFrames = 0;   // Frames to skip before processing starts
+    this.onError = null;     // Called with a PPGError when the source fails after open()
+  }
+
+  /**
+   * Prepare the source for reading
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Read the next frame
+   * Pixel sources return { timestamp, imageData }, sample sources return { timestamp, value }
+   *
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.videoFrame] - Prefer a transferable VideoFrame ({ timestamp, videoFrame })
+   * @returns {Object|null} Frame, or null if no frame is available
+   */
+  readFrame(options) {
+    return null;
+  }
+
+  /**
+   * Stop producing frames while the monitor is paused (e.g. pause video playback)
+   */
+  pause() {}
+
+  /**
+   * Continue after pause()
+   */
+  resume() {}
+
+  /**
+   * Release resources held by the source
+   */
+  close() {}
+}
+
+export default FrameSource;
@@ -0,0 +1,94 @@
+import { VideoSource } from './VideoSource.js';
+import { CameraError } from '../errors.js';
+
+/**
+ * Frame source backed by a MediaStream (e.g. a WebRTC remote stream)
+ * The stream is owned by the caller and is not stopped on close()
+ */
+export class MediaStreamSource extends VideoSource {
+  /**
+   * Create a media stream frame source
+   * @param {MediaStream|null} stream - Stream with at least one video track
+   * @param {Object} [options] - Source options
+   */
+  constructor(stream, options = {}) {
+    super(undefined, options);
+    this.stream = stream;
+    this.endedTrack = null;
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+  }
+
+  /**
+   * Attach the stream and start playback
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.video.srcObject = this.stream;
+
+    // Tracks end on their own when the camera is unplugged, taken by the OS or permission is revoked
+    const track = this.getVideoTrack();
+    if (track) {
+      track.addEventListener('ended', this.handleTrackEnded);
+      this.endedTrack = track;
+    }
+
+    await super.open();
+  }
+
+  /**
+   * Report a video track that ended without close()
+   */
+  handleTrackEnded() {
+    if (this.onError) {
+      this.onError(new CameraError('TRACK_ENDED', 'The video track ended'));
+    }
+  }
+
+  /**
+   * First video track of the stream
+   * @returns {MediaStreamTrack|null}
+   */
+  getVideoTrack() {
+    return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+  }
+
+  /**
+   * Live streams are stamped with the frame capture time where the browser
+   * reports it, otherwise with the wall clock
+   * @returns {number}
+   */
+  getTimestamp() {
+    const metadata = this.frameMetadata;
+    if (metadata) {
+      return metadata.captureTime || metadata.receiveTime || metadata.expectedDisplayTime;
+    }
+    return performance.now();
+  }
+
+  /**
+   * Live streams keep playing while the monitor is paused, so the preview and
+   * camera settings stay as they are
+   */
+  pause() {}
+
+  /**
+   * Nothing to resume for live streams
+   */
+  resume() {}
+
+  /**
+   * Detach the stream from the video element
+   */
+  close() {
+    if (this.endedTrack) {
+      this.endedTrack.removeEventListener('ended', this.handleTrackEnded);
+      this.endedTrack = null;
+    }
+
+    this.cancelFrameCallback();
+    this.video.pause();
+    this.video.srcObject = null;
+  }
+}
+
+export default MediaStreamSource;
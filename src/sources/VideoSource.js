@@ -0,0 +1,189 @@
+import { FrameSource } from './FrameSource.js';
+
+/**
+ * Frame source backed by an HTMLVideoElement
+ * Accepts an existing video element, a recorded File/Blob or a video URL
+ */
+export class VideoSource extends FrameSource {
+  /**
+   * Create a video frame source
+   * @param {HTMLVideoElement|Blob|string} [input] - Video element, file or URL
+   * @param {Object} [options] - Source options
+   * @param {boolean} [options.loop] - Loop recorded videos instead of ending
+   */
+  constructor(input, options = {}) {
+    super();
+    this.options = options;
+    this.objectUrl = null;
+    this.blob = null;
+
+    // Frame presentation tracking (requestVideoFrameCallback where available)
+    this.frameCallbackId = null;
+    this.frameMetadata = null;
+    this.hasNewFrame = false;
+    this.lastVideoTime = -1;
+    this.onVideoFrame = this.onVideoFrame.bind(this);
+
+    if (typeof HTMLVideoElement !== 'undefined' && input instanceof HTMLVideoElement) {
+      this.video = input;
+    } else {
+      this.video = document.createElement('video');
+      if (typeof Blob !== 'undefined' && input instanceof Blob) {
+        this.blob = input;
+        this.objectUrl = URL.createObjectURL(input);
+        this.video.src = this.objectUrl;
+      } else if (typeof input === 'string') {
+        this.video.src = input;
+      }
+    }
+
+    this.video.muted = true;
+    this.video.playsInline = true;
+    this.video.loop = !!options.loop;
+
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.element = this.video;
+  }
+
+  /**
+   * Wait for video metadata and start playback
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.ended = false;
+
+    // Reopening after close() needs a new object URL
+    if (this.blob && !this.objectUrl) {
+      this.objectUrl = URL.createObjectURL(this.blob);
+      this.video.src = this.objectUrl;
+    }
+
+    if (this.video.readyState < 1) {
+      await new Promise((resolve, reject) => {
+        this.video.onloadedmetadata = () => resolve();
+        this.video.onerror = () => reject(this.video.error || new Error('Failed to load video'));
+      });
+    }
+
+    await this.video.play();
+
+    this.width = this.video.videoWidth;
+    this.height = this.video.videoHeight;
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+
+    // Only read frames the video has actually presented
+    this.lastVideoTime = -1;
+    if (typeof this.video.requestVideoFrameCallback === 'function') {
+      this.hasNewFrame = false;
+      this.frameCallbackId = this.video.requestVideoFrameCallback(this.onVideoFrame);
+    }
+  }
+
+  /**
+   * Record metadata of each presented video frame
+   * @param {number} now - Presentation time
+   * @param {Object} metadata - VideoFrameCallbackMetadata
+   */
+  onVideoFrame(now, metadata) {
+    this.frameMetadata = metadata;
+    this.hasNewFrame = true;
+    this.frameCallbackId = this.video.requestVideoFrameCallback(this.onVideoFrame);
+  }
+
+  /**
+   * Draw the current video frame and return its pixels
+   * Returns null when no new frame has been presented since the last read
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.videoFrame] - Return a transferable VideoFrame instead of pixels where supported
+   * @returns {Object|null} { timestamp, imageData } or { timestamp, videoFrame }
+   */
+  readFrame(options = {}) {
+    if (this.video.ended) {
+      this.ended = true;
+      return null;
+    }
+    if (this.video.readyState < 2 || !this.width) {
+      return null;
+    }
+
+    if (this.frameCallbackId !== null) {
+      if (!this.hasNewFrame) return null;
+      this.hasNewFrame = false;
+    } else if (this.video.currentTime === this.lastVideoTime) {
+      return null;
+    }
+    this.lastVideoTime = this.video.currentTime;
+
+    const timestamp = this.getTimestamp();
+
+    if (options.videoFrame && typeof VideoFrame === 'function') {
+      return {
+        timestamp,
+        videoFrame: new VideoFrame(this.video, { timestamp: Math.round(timestamp * 1000) })
+      };
+    }
+
+    this.ctx.drawImage(this.video, 0, 0, this.width, this.height);
+
+    return {
+      timestamp,
+      imageData: this.ctx.getImageData(0, 0, this.width, this.height)
+    };
+  }
+
+  /**
+   * Timestamp of the current frame in milliseconds
+   * Recorded media uses its playback position
+   * @returns {number}
+   */
+  getTimestamp() {
+    if (this.frameMetadata) {
+      return this.frameMetadata.mediaTime * 1000;
+    }
+    return this.video.currentTime * 1000;
+  }
+
+  /**
+   * Stop tracking presented frames
+   */
+  cancelFrameCallback() {
+    if (this.frameCallbackId !== null) {
+      this.video.cancelVideoFrameCallback(this.frameCallbackId);
+      this.frameCallbackId = null;
+    }
+    this.frameMetadata = null;
+  }
+
+  /**
+   * Pause playback of recorded videos while the monitor is paused
+   */
+  pause() {
+    this.video.pause();
+  }
+
+  /**
+   * Continue playback after pause()
+   */
+  resume() {
+    this.video.play().catch(error => console.warn('Failed to resume video:', error));
+  }
+
+  /**
+   * Pause playback and release any object URL created for a file
+   */
+  close() {
+    this.cancelFrameCallback();
+    this.video.pause();
+
+    if (this.objectUrl) {
+      this.video.removeAttribute('src');
+      this.video.load();
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+  }
+}
+
+export default VideoSource;
@@ -0,0 +1,56 @@
+import { FrameSource } from './FrameSource.js';
+import { VideoSource } from './VideoSource.js';
+import { MediaStreamSource } from './MediaStreamSource.js';
+import { CameraSource } from './CameraSource.js';
+import { CanvasSource } from './CanvasSource.js';
+import { ArraySource } from './ArraySource.js';
+
+/**
+ * Create a frame source from any supported input
+ *
+ * @param {*} input - FrameSource, MediaStream, HTMLVideoElement, File/Blob, URL string,
+ *   canvas, ImageBitmap, ImageData, sample array or function; nothing for the camera
+ * @param {Object} options - Monitor options (camera constraints and signal settings)
+ * @returns {FrameSource} Frame source
+ */
+export function createFrameSource(input, options = {}) {
+  if (input === undefined || input === null) {
+    return new CameraSource(options.camera);
+  }
+
+  if (input instanceof FrameSource) {
+    return input;
+  }
+
+  if (typeof MediaStream !== 'undefined' && input instanceof MediaStream) {
+    return new MediaStreamSource(input);
+  }
+
+  if ((typeof HTMLVideoElement !== 'undefined' && input instanceof HTMLVideoElement) ||
+      (typeof Blob !== 'undefined' && input instanceof Blob) ||
+      typeof input === 'string') {
+    return new VideoSource(input);
+  }
+
+  if ((typeof HTMLCanvasElement !== 'undefined' && input instanceof HTMLCanvasElement) ||
+      (typeof OffscreenCanvas !== 'undefined' && input instanceof OffscreenCanvas) ||
+      (typeof ImageBitmap !== 'undefined' && input instanceof ImageBitmap) ||
+      (typeof ImageData !== 'undefined' && input instanceof ImageData)) {
+    return new CanvasSource(input);
+  }
+
+  if (Array.isArray(input) || ArrayBuffer.isView(input) || typeof input === 'function') {
+    return new ArraySource(input, { sampleRate: options.signal && options.signal.sampleRate });
+  }
+
+  throw new TypeError('Unsupported frame source input');
+}
+
+export {
+  FrameSource,
+  VideoSource,
+  MediaStreamSource,
+  CameraSource,
+  CanvasSource,
+  ArraySource
+};
@@ -0,0 +1,87 @@
+/**
+ * Camera device utilities
+ * Lists video input devices and remembers the calibrated camera in localStorage
+ */
+
+const STORAGE_KEY = 'ppg-js.camera';
+
+/**
+ * Guess which way a camera faces
+ * Uses the device capabilities where the browser exposes them, otherwise the label
+ *
+ * @param {MediaDeviceInfo} device - Video input device
+ * @returns {string|null} 'environment', 'user' or null if unknown
+ */
+function getFacing(device) {
+  if (typeof device.getCapabilities === 'function') {
+    const facingMode = device.getCapabilities().facingMode;
+    if (facingMode && facingMode.length > 0) return facingMode[0];
+  }
+
+  if (/back|rear|environment/i.test(device.label)) return 'environment';
+  if (/front|user|face/i.test(device.label)) return 'user';
+  return null;
+}
+
+/**
+ * List the video input devices
+ * Labels and facing are only known after camera permission was granted
+ *
+ * @returns {Promise<Array>} Cameras { deviceId, label, facing }
+ */
+export async function listCameras() {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map(device => ({
+      deviceId: device.deviceId,
+      label: device.label,
+      facing: getFacing(device)
+    }));
+}
+
+/**
+ * Load the remembered camera
+ * @returns {Object|null} { deviceId, label, snr_dB, calibratedAt } or null
+ */
+export function loadCameraChoice() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null; // No storage (private mode, Node.js) or a corrupt entry
+  }
+}
+
+/**
+ * Remember a camera for the next sessions on this device
+ * @param {Object} choice - { deviceId, label, snr_dB }
+ */
+export function saveCameraChoice(choice) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      deviceId: choice.deviceId,
+      label: choice.label,
+      snr_dB: choice.snr_dB,
+      calibratedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.warn('Camera choice not saved:', error);
+  }
+}
+
+/**
+ * Forget the remembered camera
+ */
+export function clearCameraChoice() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // No storage available
+  }
+}
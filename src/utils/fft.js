@@ -1,19 +1,35 @@
 import FFT from 'fft.js';
 
+/**
+ * Smallest power of 2 greater than or equal to n
+ *
+ * @param {number} n - Length
+ * @returns {number} Power of 2
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
 /**
  * Compute FFT and Power Spectral Density
+ * Signals longer than fftSize are truncated; signals shorter are zero-padded.
  *
  * @param {Array|Float32Array} signal - Input signal
  * @param {number} fftSize - FFT size (must be power of 2)
- * @returns {Object} { psd, peakIdx, peakFrequency, sampleRate }
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} [window='none'] - Taper applied before the FFT: 'none' or 'hann'
+ * @returns {Object} { psd, fftSize, sampleRate, freqResolution }
  */
-export function computeFFT(signal, fftSize = 256, sampleRate = 60) {
-  const n = signal.length;
+export function computeFFT(signal, fftSize = 256, sampleRate = 60, window = 'none') {
+  const n = Math.min(signal.length, fftSize);
 
-  // Pad signal to FFT size
+  // Pad signal to FFT size, tapering the samples with a Hann window if requested
   const paddedSignal = new Float32Array(fftSize);
-  for (let i = 0; i < Math.min(n, fftSize); i++) {
-    paddedSignal[i] = signal[i];
+  for (let i = 0; i < n; i++) {
+    const w = window === 'hann' && n > 1 ? 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) : 1;
+    paddedSignal[i] = signal[i] * w;
   }
 
   // Compute FFT using FFT.js library
@@ -38,6 +54,38 @@ export function computeFFT(signal, fftSize = 256, sampleRate = 60) {
   };
 }
 
+/**
+ * Welch power spectral density
+ * Averages the periodograms of 50% overlapping, Hann-windowed segments: less
+ * variance than a single periodogram at the cost of frequency resolution.
+ *
+ * @param {Array|Float32Array} signal - Input signal
+ * @param {number} fftSize - FFT size of each segment (power of 2, at least segmentLength)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} segmentLength - Samples per segment
+ * @returns {Object} { psd, fftSize, sampleRate, freqResolution }
+ */
+export function welchPSD(signal, fftSize, sampleRate, segmentLength) {
+  const length = Math.min(segmentLength, signal.length);
+  const step = Math.max(1, Math.floor(length / 2));
+  const psd = new Float32Array(fftSize / 2);
+  let segments = 0;
+
+  for (let start = 0; start + length <= signal.length; start += step) {
+    const segment = computeFFT(signal.subarray(start, start + length), fftSize, sampleRate, 'hann');
+    for (let i = 0; i < psd.length; i++) psd[i] += segment.psd[i];
+    segments++;
+  }
+  for (let i = 0; i < psd.length; i++) psd[i] /= segments;
+
+  return {
+    psd,
+    fftSize,
+    sampleRate,
+    freqResolution: sampleRate / fftSize
+  };
+}
+
 /**
  * Calculate SNR from Power Spectral Density
  *
@@ -93,3 +141,132 @@ export function calculateSNRFromPSD(psd, freqResolution, cardiacBandLow = 0.75,
     totalPower
   };
 }
+
+/**
+ * Refine a spectral peak position between bins
+ * 'parabolic' fits a parabola through the peak and its neighbours; 'gaussian'
+ * fits it to the log power, which is exact for a Gaussian-shaped (Hann) peak.
+ *
+ * @param {Float32Array} psd - Power spectral density
+ * @param {number} idx - Index of the local maximum
+ * @param {string} [method='gaussian'] - 'gaussian', 'parabolic' or 'none'
+ * @returns {number} Fractional bin index
+ */
+export function interpolateSpectralPeak(psd, idx, method = 'gaussian') {
+  if (method === 'none' || idx <= 0 || idx >= psd.length - 1) return idx;
+
+  let a = psd[idx - 1];
+  let b = psd[idx];
+  let c = psd[idx + 1];
+  if (method === 'gaussian') {
+    if (a <= 0 || b <= 0 || c <= 0) return idx;
+    a = Math.log(a);
+    b = Math.log(b);
+    c = Math.log(c);
+  }
+
+  const denom = a - 2 * b + c;
+  if (denom >= 0) return idx;
+
+  const offset = 0.5 * (a - c) / denom;
+  return idx + Math.max(-0.5, Math.min(0.5, offset));
+}
+
+/**
+ * Find the strongest local maxima of a PSD within a frequency band
+ *
+ * @param {Float32Array} psd - Power spectral density
+ * @param {number} freqResolution - Frequency resolution (Hz per bin)
+ * @param {number} lowFreq - Lower band edge (Hz)
+ * @param {number} highFreq - Upper band edge (Hz)
+ * @param {Object} [options] - { interpolation: 'gaussian' | 'parabolic' | 'none', maxPeaks: 3 }
+ * @returns {Array} Peaks { frequency, power, index } sorted by power, strongest first
+ */
+export function findSpectralPeaks(psd, freqResolution, lowFreq, highFreq, options = {}) {
+  const interpolation = options.interpolation || 'gaussian';
+  const maxPeaks = options.maxPeaks || 3;
+  const low = Math.max(1, Math.floor(lowFreq / freqResolution));
+  const high = Math.min(psd.length - 2, Math.ceil(highFreq / freqResolution));
+
+  const peaks = [];
+  for (let i = low; i <= high; i++) {
+    if (psd[i] > 0 && psd[i] >= psd[i - 1] && psd[i] > psd[i + 1]) {
+      const position = interpolateSpectralPeak(psd, i, interpolation);
+      const frequency = position * freqResolution;
+      if (frequency >= lowFreq && frequency <= highFreq) {
+        peaks.push({ frequency, power: psd[i], index: i });
+      }
+    }
+  }
+
+  return peaks.sort((a, b) => b.power - a.power).slice(0, maxPeaks);
+}
+
+/**
+ * Strongest bin within 10% of a frequency, if it is a local maximum
+ *
+ * @param {Float32Array} psd - Power spectral density
+ * @param {number} freqResolution - Frequency resolution (Hz per bin)
+ * @param {number} frequency - Frequency (Hz)
+ * @returns {number} Bin index, or -1 when there is no peak
+ */
+function peakNear(psd, freqResolution, frequency) {
+  const from = Math.max(1, Math.floor((frequency * 0.9) / freqResolution));
+  const to = Math.min(psd.length - 2, Math.ceil((frequency * 1.1) / freqResolution));
+  let idx = -1;
+  for (let i = from; i <= to; i++) {
+    if (idx < 0 || psd[i] > psd[idx]) idx = i;
+  }
+
+  return idx >= 0 && psd[idx] >= psd[idx - 1] && psd[idx] >= psd[idx + 1] ? idx : -1;
+}
+
+/**
+ * Replace a spectral peak by its subharmonic when that is the fundamental
+ * A strong dicrotic wave can make the second or third harmonic the largest
+ * peak; the pulse rate is then a half or a third of the peak frequency. The
+ * subharmonic is taken when it is a peak with at least ratio of the peak power,
+ * or when it and a neighbouring harmonic both reach half that: a fundamental at
+ * the band edge is weakened by the band-pass filter, but its harmonics remain.
+ * Subharmonics are searched down to 80% of lowFreq for the same reason. The
+ * lowest qualifying subharmonic is taken.
+ *
+ * @param {Float32Array} psd - Power spectral density
+ * @param {number} freqResolution - Frequency resolution (Hz per bin)
+ * @param {Object} peak - Peak { frequency, power, index }
+ * @param {number} lowFreq - Lower edge of the cardiac band (Hz)
+ * @param {number} ratio - Minimum subharmonic power relative to the peak
+ * @param {string} [interpolation='gaussian'] - Peak interpolation method
+ * @returns {Object} The fundamental peak { frequency, power, index, harmonic } where harmonic
+ *   is true if a subharmonic was chosen
+ */
+export function findFundamental(psd, freqResolution, peak, lowFreq, ratio, interpolation = 'gaussian') {
+  if (!(ratio > 0)) return { ...peak, harmonic: false };
+
+  const weak = (ratio / 2) * peak.power;
+  for (const divisor of [3, 2]) {
+    const target = peak.frequency / divisor;
+    if (target < 0.8 * lowFreq) continue;
+
+    const idx = peakNear(psd, freqResolution, target);
+    if (idx < 0 || psd[idx] < weak) continue;
+
+    // Harmonics next to the peak (2f and 4f for a third harmonic, 3f for a second one)
+    const supported = [divisor - 1, divisor + 1].some(h => {
+      if (h < 2) return false;
+      const harmonic = peakNear(psd, freqResolution, h * target);
+      return harmonic >= 0 && psd[harmonic] >= weak;
+    });
+
+    if (psd[idx] >= ratio * peak.power || supported) {
+      return {
+        frequency: interpolateSpectralPeak(psd, idx, interpolation) * freqResolution,
+        power: psd[idx],
+        index: idx,
+        harmonic: true
+      };
+    }
+  }
+
+  return { ...peak, harmonic: false };
+}
@@ -0,0 +1,331 @@
+import { solveLinear } from './linalg.js';
+
+/**
+ * Digital filters for PPG signals
+ * IIR filters are cascades of second-order sections { b0, b1, b2, a1, a2 }
+ * (a0 normalized to 1), run in transposed direct form II
+ */
+
+/**
+ * Design a biquad section from the RBJ audio EQ cookbook
+ *
+ * @param {string} type - 'lowpass', 'highpass' or 'notch'
+ * @param {number} frequency - Cutoff or centre frequency in Hz
+ * @param {number} q - Quality factor
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} Section { b0, b1, b2, a1, a2 }
+ */
+function biquad(type, frequency, q, sampleRate) {
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+
+  let b;
+  if (type === 'lowpass') {
+    b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+  } else if (type === 'highpass') {
+    b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  } else {
+    b = [1, -2 * cos, 1];
+  }
+
+  return {
+    b0: b[0] / a0,
+    b1: b[1] / a0,
+    b2: b[2] / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/**
+ * Design a first-order section (used for odd filter orders)
+ *
+ * @param {string} type - 'lowpass' or 'highpass'
+ * @param {number} frequency - Cutoff frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} Section { b0, b1, b2, a1, a2 }
+ */
+function firstOrder(type, frequency, sampleRate) {
+  const k = Math.tan((Math.PI * frequency) / sampleRate);
+  const norm = 1 / (1 + k);
+
+  return {
+    b0: type === 'lowpass' ? k * norm : norm,
+    b1: type === 'lowpass' ? k * norm : -norm,
+    b2: 0,
+    a1: (k - 1) * norm,
+    a2: 0
+  };
+}
+
+/**
+ * Design a Butterworth low-pass or high-pass cascade
+ *
+ * @param {string} type - 'lowpass' or 'highpass'
+ * @param {number} order - Filter order
+ * @param {number} cutoff - -3 dB frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array} Sections
+ */
+function butterworthSections(type, order, cutoff, sampleRate) {
+  const sections = [];
+
+  // Pole pairs of the analog prototype set the Q of each biquad
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    const q = 1 / (2 * Math.cos((Math.PI * (2 * k + 1)) / (2 * order)));
+    sections.push(biquad(type, cutoff, q, sampleRate));
+  }
+  if (order % 2 === 1) {
+    sections.push(firstOrder(type, cutoff, sampleRate));
+  }
+
+  return sections;
+}
+
+/**
+ * Design a Butterworth filter
+ * Band-pass filters are a high-pass/low-pass cascade, which matches the classic
+ * design closely for bands as wide as the cardiac band. Cutoffs at or above the
+ * Nyquist frequency are skipped.
+ *
+ * @param {string} type - 'bandpass', 'highpass' or 'lowpass'
+ * @param {number} order - Order of each low-pass/high-pass part
+ * @param {number|Array} cutoff - Cutoff in Hz, or [low, high] for band-pass
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array} Sections
+ */
+export function designButterworth(type, order, cutoff, sampleRate) {
+  const nyquist = sampleRate / 2;
+  const [low, high] = type === 'bandpass' ? cutoff :
+    type === 'highpass' ? [cutoff, null] : [null, cutoff];
+  const sections = [];
+
+  if (low !== null && low > 0 && low < nyquist) {
+    sections.push(...butterworthSections('highpass', order, low, sampleRate));
+  }
+  if (high !== null && high > 0 && high < nyquist * 0.98) {
+    sections.push(...butterworthSections('lowpass', order, high, sampleRate));
+  }
+
+  return sections;
+}
+
+/**
+ * Design a notch filter
+ *
+ * @param {number} frequency - Centre frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [q=5] - Quality factor (centre frequency / bandwidth)
+ * @returns {Array} Sections (empty if the frequency is above Nyquist)
+ */
+export function designNotch(frequency, sampleRate, q = 5) {
+  if (!(frequency > 0) || frequency >= sampleRate / 2) return [];
+  return [biquad('notch', frequency, q, sampleRate)];
+}
+
+/**
+ * Causal streaming IIR filter
+ * Keeps the section state between calls so samples can be filtered as they arrive
+ */
+export class IIRFilter {
+  /**
+   * Create a streaming filter
+   * @param {Array} sections - Second-order sections
+   */
+  constructor(sections) {
+    this.sections = sections;
+    this.state = sections.map(() => [0, 0]);
+    this.initialized = false;
+  }
+
+  /**
+   * Set the state to the steady state for a constant input
+   * Avoids the start-up transient when the signal has a large DC level
+   *
+   * @param {number} [value=0] - Constant input level
+   */
+  reset(value = 0) {
+    let x = value;
+    this.state = this.sections.map(s => {
+      const gain = (s.b0 + s.b1 + s.b2) / (1 + s.a1 + s.a2);
+      const y = x * gain;
+      const z2 = s.b2 * x - s.a2 * y;
+      const z1 = s.b1 * x - s.a1 * y + z2;
+      x = y;
+      return [z1, z2];
+    });
+    this.initialized = true;
+  }
+
+  /**
+   * Filter one sample
+   * @param {number} x - Input sample
+   * @returns {number} Output sample
+   */
+  process(x) {
+    if (!this.initialized) this.reset(x);
+
+    let value = x;
+    for (let i = 0; i < this.sections.length; i++) {
+      const s = this.sections[i];
+      const z = this.state[i];
+      const y = s.b0 * value + z[0];
+      z[0] = s.b1 * value - s.a1 * y + z[1];
+      z[1] = s.b2 * value - s.a2 * y;
+      value = y;
+    }
+
+    return value;
+  }
+
+  /**
+   * Filter an array of samples
+   * @param {Array|Float32Array} signal - Input signal
+   * @returns {Float32Array} Filtered signal
+   */
+  processArray(signal) {
+    const out = new Float32Array(signal.length);
+    for (let i = 0; i < signal.length; i++) {
+      out[i] = this.process(signal[i]);
+    }
+    return out;
+  }
+}
+
+/**
+ * Zero-phase filtering (forward-backward)
+ * The signal is extended by odd reflection at both ends and the filter starts
+ * from its steady state, which keeps edge transients out of short windows
+ *
+ * @param {Array} sections - Second-order sections
+ * @param {Array|Float32Array} signal - Input signal
+ * @returns {Float32Array} Filtered signal
+ */
+export function filtfilt(sections, signal) {
+  const n = signal.length;
+  if (sections.length === 0 || n < 2) return Float32Array.from(signal);
+
+  const pad = Math.min(n - 1, 3 * (2 * sections.length + 1));
+  const extended = new Float64Array(n + 2 * pad);
+  for (let i = 0; i < pad; i++) {
+    extended[i] = 2 * signal[0] - signal[pad - i];
+    extended[n + pad + i] = 2 * signal[n - 1] - signal[n - 2 - i];
+  }
+  for (let i = 0; i < n; i++) {
+    extended[pad + i] = signal[i];
+  }
+
+  const forward = new IIRFilter(sections);
+  forward.reset(extended[0]);
+  for (let i = 0; i < extended.length; i++) {
+    extended[i] = forward.process(extended[i]);
+  }
+
+  const backward = new IIRFilter(sections);
+  backward.reset(extended[extended.length - 1]);
+  for (let i = extended.length - 1; i >= 0; i--) {
+    extended[i] = backward.process(extended[i]);
+  }
+
+  return Float32Array.from(extended.subarray(pad, pad + n));
+}
+
+/**
+ * Centered moving average
+ * The window shrinks at the edges
+ *
+ * @param {Array|Float32Array} signal - Input signal
+ * @param {number} width - Window width in samples
+ * @returns {Float32Array} Smoothed signal
+ */
+export function movingAverage(signal, width) {
+  const n = signal.length;
+  const half = Math.floor(width / 2);
+  const out = new Float32Array(n);
+
+  let sum = 0;
+  let lo = 0;
+  let hi = -1;
+
+  for (let i = 0; i < n; i++) {
+    const start = Math.max(0, i - half);
+    const end = Math.min(n - 1, i + half);
+
+    while (hi < end) sum += signal[++hi];
+    while (lo < start) sum -= signal[lo++];
+
+    out[i] = sum / (hi - lo + 1);
+  }
+
+  return out;
+}
+
+/**
+ * Savitzky-Golay smoothing coefficients
+ * Least-squares polynomial fit over the window, evaluated at its centre
+ *
+ * @param {number} width - Odd window width in samples
+ * @param {number} order - Polynomial order (< width)
+ * @returns {Float64Array} Convolution coefficients
+ */
+function savitzkyGolayCoefficients(width, order) {
+  const half = (width - 1) / 2;
+  const m = order + 1;
+
+  // Normal equations (AᵀA) c = e0, with A[i][j] = (i - half)^j
+  const ata = [];
+  for (let r = 0; r < m; r++) {
+    ata.push(new Float64Array(m));
+    for (let c = 0; c < m; c++) {
+      let sum = 0;
+      for (let x = -half; x <= half; x++) sum += Math.pow(x, r + c);
+      ata[r][c] = sum;
+    }
+  }
+  const e0 = Array.from({ length: m }, (_, r) => (r === 0 ? 1 : 0));
+  const solution = solveLinear(ata, e0);
+
+  const coefficients = new Float64Array(width);
+  for (let x = -half; x <= half; x++) {
+    let value = 0;
+    for (let j = 0; j < m; j++) value += solution[j] * Math.pow(x, j);
+    coefficients[x + half] = value;
+  }
+
+  return coefficients;
+}
+
+/**
+ * Savitzky-Golay smoothing
+ * Preserves peak height and width better than a moving average; the signal is
+ * mirrored at the edges
+ *
+ * @param {Array|Float32Array} signal - Input signal
+ * @param {number} width - Window width in samples (rounded up to odd)
+ * @param {number} [order=2] - Polynomial order
+ * @returns {Float32Array} Smoothed signal
+ */
+export function savitzkyGolay(signal, width, order = 2) {
+  const n = signal.length;
+  const size = Math.max(3, width % 2 === 0 ? width + 1 : width);
+  if (n < size || order >= size) return Float32Array.from(signal);
+
+  const coefficients = savitzkyGolayCoefficients(size, order);
+  const half = (size - 1) / 2;
+  const out = new Float32Array(n);
+
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let k = -half; k <= half; k++) {
+      let j = i + k;
+      if (j < 0) j = -j;
+      if (j >= n) j = 2 * (n - 1) - j;
+      sum += coefficients[k + half] * signal[j];
+    }
+    out[i] = sum;
+  }
+
+  return out;
+}
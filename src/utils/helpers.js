@@ -15,6 +15,22 @@ export function windowMean(array) {
   return sum / n;
 }
 
+/**
+ * Calculate median of array or typed array
+ *
+ * @param {Array|Float32Array} array - Input array
+ * @returns {number} Median value (0 for an empty array)
+ */
+export function median(array) {
+  const n = array.length;
+  if (n === 0) return 0;
+
+  const sorted = Array.from(array).sort((a, b) => a - b);
+  const mid = Math.floor(n / 2);
+
+  return n % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
 /**
  * Get quality status from SNR value
  *
@@ -31,20 +47,20 @@ export function getQualityStatus(snr) {
 /**
  * Generate user guidance message based on signal quality metrics
  *
- * @param {number} snr - Signal-to-noise ratio in dB
+ * @param {string} qualityStatus - Quality grade: "Excellent", "Good", "Fair" or "Poor"
  * @param {number} pi - Perfusion index (%)
  * @param {number} stability - Signal stability (0-1)
  * @returns {string} Guidance message
  */
-export function generateGuidance(snr, pi, stability) {
-  if (snr < 0) {
+export function generateGuidance(qualityStatus, pi, stability) {
+  if (qualityStatus === "Poor") {
     if (pi < 0.3) {
       return "Cover camera completely with finger";
     }
     return "Adjust finger placement";
   }
 
-  if (snr >= 0 && snr < 5) {
+  if (qualityStatus === "Fair") {
     if (pi < 1.0) {
       return "Press finger more firmly";
     }
@@ -57,14 +73,36 @@ export function generateGuidance(snr, pi, stability) {
     return "Adjusting... hold steady";
   }
 
-  if (snr >= 5 && snr < 10) {
+  if (qualityStatus === "Good") {
     return "Good signal - hold steady";
   }
 
-  // snr >= 10
   return "Excellent signal!";
 }
 
+/**
+ * Generate user guidance for a contact state
+ *
+ * @param {string} state - Contact state
+ * @returns {string} Guidance message
+ */
+export function getStateGuidance(state) {
+  switch (state) {
+    case 'noFinger':
+      return "Place your finger over the camera";
+    case 'placing':
+      return "Cover camera and flash completely";
+    case 'settling':
+      return "Hold still...";
+    case 'measuring':
+      return "Measuring - hold steady";
+    case 'lost':
+      return "Finger lifted - place it back";
+    default:
+      return "";
+  }
+}
+
 /**
  * Validate and merge user options with defaults
  *
@@ -82,34 +120,170 @@ export function createDefaultOptions(userOptions = {}) {
     },
     signal: {
       windowLength: 300,      // 5 seconds at 60 FPS
-      sampleRate: 60,         // Target FPS
+      hopLength: 60,          // Analyse every 60 frames (1 second at 60 FPS)
+      sampleRate: 60,         // Nominal FPS, used until frame timestamps are available
       cardiacBandLow: 0.75,   // Hz (45 BPM)
       cardiacBandHigh: 4.0,   // Hz (240 BPM)
-      fftSize: 256            // Next power of 2 >= 300
+      fftSize: 256,           // Minimum FFT size (windows are never truncated)
+      window: 'hann',         // Spectral taper: 'hann' or 'none'
+      spectrum: 'periodogram', // 'periodogram' or 'welch' (averaged half-window segments)
+      zeroPadding: 4,         // FFT length as a multiple of the next power of 2 >= windowLength
+      peakInterpolation: 'gaussian', // Sub-bin peak refinement: 'gaussian', 'parabolic' or 'none'
+      harmonicRatio: 0.3,     // Report a third or half of the peak frequency if its power is at least this share of the peak (0 disables)
+      refractoryRatio: 0.45,  // Beat refractory period as a fraction of the spectral interval
+      tracking: true,         // Kalman heart rate tracking across windows
+      filter: 'bandpass',     // 'bandpass', 'highpass', 'lowpass' (cardiac band edges) or 'none'
+      filterOrder: 2,         // Butterworth order of each high-pass/low-pass part
+      notchFrequency: null,   // Hz, optional notch (e.g. flicker aliased into the band)
+      smoothing: 'none',      // 'none', 'movingAverage' or 'savitzkyGolay' (analysis windows)
+      smoothingWindow: 5,     // Smoother width in samples
+      smoothingOrder: 2,      // Savitzky-Golay polynomial order
+      minFrameRate: 15        // FPS below which a LOW_FRAME_RATE error is emitted
+    },
+    quality: {
+      fusion: 'snr',          // 'snr', 'weighted', 'decisionTree' or a function (sqi, grades)
+      sqis: {},               // Per-SQI { enabled, weight, thresholds } overrides and custom SQIs
+      scoreThresholds: [0.8, 0.5, 0.2], // Weighted score for Excellent, Good and Fair
+      tree: null              // Decision tree for 'decisionTree' (built-in tree when null)
+    },
+    extraction: {
+      roi: 'full',            // 'full', 'circle', 'grid', or { type: 'rect', x, y, width, height }
+      channel: 'red'          // 'red', 'green', 'blue', or 'auto' (best SNR)
+    },
+    contact: {
+      enabled: true,          // Only measure while a finger covers the camera
+      minRedRatio: 0.5,       // Minimum red share of R+G+B
+      minBrightness: 0.15,    // Minimum mean red level (0-1)
+      maxVariation: 0.3,      // Maximum red variation across the frame (coefficient of variation)
+      placingTime: 500,       // ms of contact before settling
+      settlingTime: 2000,     // ms of settling before measuring
+      lostTimeout: 2000       // ms without contact before noFinger
+    },
+    artifacts: {
+      enabled: true,          // Mask motion artifacts out of HR, IBI and HRV
+      jumpThreshold: 0.02,    // Relative DC change between frames flagged as a jump
+      clipThreshold: 0.8,     // Fraction of clipped ROI pixels flagged as saturation
+      kurtosisThreshold: 5,   // Segments with higher kurtosis are flagged
+      skewnessThreshold: -0.5, // Segments with lower skewness are flagged
+      segmentDuration: 2,     // Seconds per SQI segment
+      holdTime: 500,          // Milliseconds masked around each flagged sample
+      deviceMotion: false,    // Use DeviceMotionEvent accelerometer readings
+      accelerationThreshold: 1.5 // m/s² change between readings flagged as motion
+    },
+    hrv: {
+      windowDuration: 300,    // Seconds of most recent beats (0 = all)
+      ectopicThreshold: 0.2,  // Max deviation from local median interval
+      minFrequencyDuration: 60 // Seconds of data required for LF/HF
+    },
+    respiration: {
+      windowDuration: 32,     // Seconds of history used for estimation
+      minRate: 6,             // Breaths per minute
+      maxRate: 30             // Breaths per minute
+    },
+    spo2: {
+      enabled: false,         // EXPERIMENTAL camera SpO2 (research only)
+      referenceChannel: 'blue', // 'blue' or 'green', divides the red perfusion index
+      calibration: null,      // { coefficients, residualSD } from SpO2Estimator.fitCalibration(); null = uncalibrated
+      historyLength: 10       // Windows of ratios combined into each estimate
+    },
+    morphology: {
+      enabled: false,         // Pulse waveform features (metrics.morphology)
+      lowCutoff: 0.5,         // Hz, high-pass edge of the waveform band
+      highCutoff: 10,         // Hz, low-pass edge (capped at 0.45 × the sample rate)
+      upsampleRate: 250,      // Hz, cubic interpolation before taking derivatives
+      minCorrelation: 0.8,    // Beats correlating less with the average are left out of the template
+      minBeats: 3,            // Consistent beats needed for a template
+      height: null            // Subject height in metres, enables the stiffness index
+    },
+    rhythm: {
+      enabled: false,         // Irregular rhythm screening (metrics.rhythm, irregularRhythm events)
+      minQuality: 'Fair',     // Intervals from windows graded below this are not screened
+      maxRateMismatch: 0.2,   // Premature/missed beat events need the median interval within this share of the spectral one
+      windowBeats: 32,        // Intervals analysed
+      minIntervals: 20,       // Usable intervals needed for a verdict
+      rmssdThreshold: 0.1,    // RMSSD / mean interval
+      entropyThreshold: 0.7,  // Normalised Shannon entropy of the intervals
+      dispersionThreshold: 0.7, // Poincaré SD1/SD2
+      periodicityThreshold: 0.5, // Interval autocorrelation above which the rhythm follows breathing
+      prematureRatio: 0.8,    // Interval / local median at or below which a beat is premature
+      missedRatio: 1.75,      // Interval / local median at or above which a beat was missed
+      endVerdicts: 10,        // Consecutive regular verdicts that end an irregular episode
+      staleTimeout: 3000      // ms without a usable interval before the verdict is 'insufficient'
+    },
+    bp: {
+      enabled: false,         // EXPERIMENTAL cuff-calibrated BP trend (research only), turns on morphology
+      features: ['heartRate', 'riseTimeRatio', 'pulseWidthRatio'], // Keys of BP_FEATURES
+      model: null,            // Custom model { fit, predict, toJSON }; null = LinearBPModel
+      minQuality: 'Good',     // Lowest window quality whose features are used
+      historyLength: 10,      // Windows of features combined into each estimate
+      calibrationExpiry: 7,   // Days after the last cuff reading until estimates stop
+      drift: 1.5,             // mmHg SD added per day since the last cuff reading
+      maxCalibrations: 10,    // Cuff readings kept for fitting
+      saved: null             // State from exportBPModel() to restore
+    },
+    recording: {
+      enabled: true,          // Record frames, metrics and events for exportSession()
+      maxDuration: 600        // Seconds of most recent data to keep (0 = unlimited)
+    },
+    worker: {
+      enabled: false,         // Run extraction and analysis in a Web Worker
+      url: null,              // Worker script URL (defaults to ppg-worker.js next to the bundle)
+      maxPendingFrames: 2     // Frames in flight before new frames are dropped
     },
     camera: {
       maxWidth: 1280,
       maxHeight: 720,
       frameRate: { ideal: 60 },
-      facingMode: 'environment'
+      facingMode: 'environment',
+      deviceId: null,         // Camera to open (see PPGMonitor.listCameras()), null = remembered or facingMode
+      remember: true,         // Use the camera chosen by calibrateCamera() on this device
+      torch: true,            // Turn the torch on
+      lockExposure: true,     // Lock exposure time and ISO while measuring
+      lockWhiteBalance: true, // Lock white balance while measuring
+      lockFocus: true,        // Lock focus at the closest distance
+      exposureTime: null,     // Fixed exposure time (100 µs units), null = value when locking
+      iso: null,              // Fixed ISO, null = value when locking
+      colorTemperature: null  // Fixed white balance (K), null = value when locking
     },
     onFrame: null,
     onQualityUpdate: null,
     onSignalUpdate: null,
+    onBeat: null,
+    onStateChange: null,
+    onStatusChange: null,
+    onIrregularRhythm: null,
     onError: null,
-    onReady: null
+    onReady: null,
+    onEnded: null
   };
 
   // Deep merge
   return {
     ui: { ...defaults.ui, ...(userOptions.ui || {}) },
     signal: { ...defaults.signal, ...(userOptions.signal || {}) },
+    quality: { ...defaults.quality, ...(userOptions.quality || {}) },
+    extraction: { ...defaults.extraction, ...(userOptions.extraction || {}) },
+    contact: { ...defaults.contact, ...(userOptions.contact || {}) },
+    artifacts: { ...defaults.artifacts, ...(userOptions.artifacts || {}) },
+    hrv: { ...defaults.hrv, ...(userOptions.hrv || {}) },
+    respiration: { ...defaults.respiration, ...(userOptions.respiration || {}) },
+    spo2: { ...defaults.spo2, ...(userOptions.spo2 || {}) },
+    morphology: { ...defaults.morphology, ...(userOptions.morphology || {}) },
+    rhythm: { ...defaults.rhythm, ...(userOptions.rhythm || {}) },
+    bp: { ...defaults.bp, ...(userOptions.bp || {}) },
+    recording: { ...defaults.recording, ...(userOptions.recording || {}) },
+    worker: { ...defaults.worker, ...(userOptions.worker || {}) },
     camera: { ...defaults.camera, ...(userOptions.camera || {}) },
     onFrame: userOptions.onFrame || defaults.onFrame,
     onQualityUpdate: userOptions.onQualityUpdate || defaults.onQualityUpdate,
     onSignalUpdate: userOptions.onSignalUpdate || defaults.onSignalUpdate,
+    onBeat: userOptions.onBeat || defaults.onBeat,
+    onStateChange: userOptions.onStateChange || defaults.onStateChange,
+    onStatusChange: userOptions.onStatusChange || defaults.onStatusChange,
+    onIrregularRhythm: userOptions.onIrregularRhythm || defaults.onIrregularRhythm,
     onError: userOptions.onError || defaults.onError,
-    onReady: userOptions.onReady || defaults.onReady
+    onReady: userOptions.onReady || defaults.onReady,
+    onEnded: userOptions.onEnded || defaults.onEnded
   };
 }
 
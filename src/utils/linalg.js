@@ -0,0 +1,33 @@
+/**
+ * Solve a small linear system by Gaussian elimination with partial pivoting
+ *
+ * @param {Array<Array<number>>} A - Square matrix (modified)
+ * @param {Array<number>} b - Right-hand side (modified)
+ * @returns {Array<number>|null} Solution, or null if singular
+ */
+export function solveLinear(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
@@ -0,0 +1,99 @@
+/**
+ * Estimate the effective sample rate of a timestamped signal
+ *
+ * @param {Array|Float64Array} timestamps - Sample timestamps in milliseconds (ascending)
+ * @returns {number} Sample rate in Hz (0 if it cannot be estimated)
+ */
+export function estimateSampleRate(timestamps) {
+  const n = timestamps.length;
+  if (n < 2) return 0;
+
+  const duration = timestamps[n - 1] - timestamps[0];
+  if (!(duration > 0)) return 0;
+
+  return ((n - 1) * 1000) / duration;
+}
+
+/**
+ * Resample an irregularly sampled signal onto a uniform time grid
+ * Uses linear interpolation between the two nearest samples
+ *
+ * @param {Array|Float32Array} values - Sample values
+ * @param {Array|Float64Array} timestamps - Sample timestamps in milliseconds (ascending)
+ * @param {number} [length] - Number of output samples (defaults to the input length)
+ * @returns {Object} { values, sampleRate, startTime } resampled signal and its grid
+ */
+export function resampleUniform(values, timestamps, length = values.length) {
+  const n = values.length;
+  const out = new Float32Array(length);
+  const start = timestamps[0];
+  const end = timestamps[n - 1];
+
+  if (n < 2 || !(end > start)) {
+    out.fill(n > 0 ? values[n - 1] : 0);
+    return { values: out, sampleRate: 0, startTime: start };
+  }
+
+  const step = (end - start) / (length - 1);
+  let j = 0;
+
+  for (let i = 0; i < length; i++) {
+    const t = start + i * step;
+
+    // Advance to the segment containing t
+    while (j < n - 2 && timestamps[j + 1] < t) {
+      j++;
+    }
+
+    const t0 = timestamps[j];
+    const t1 = timestamps[j + 1];
+    const span = t1 - t0;
+    const frac = span > 0 ? Math.min(Math.max((t - t0) / span, 0), 1) : 0;
+
+    out[i] = values[j] + frac * (values[j + 1] - values[j]);
+  }
+
+  return {
+    values: out,
+    sampleRate: 1000 / step,
+    startTime: start
+  };
+}
+
+/**
+ * Upsample a uniformly sampled signal by cubic (Catmull-Rom) interpolation
+ * Unlike linear interpolation the result has a continuous first derivative, so
+ * derivative-based features are not dominated by the original sample grid
+ *
+ * @param {Array|Float32Array} values - Sample values
+ * @param {number} factor - Output samples per input sample (>= 1)
+ * @returns {Float32Array} (n - 1) * factor + 1 samples passing through the input samples
+ */
+export function upsampleCubic(values, factor) {
+  const n = values.length;
+  if (n < 2 || !(factor > 1)) return Float32Array.from(values);
+
+  const steps = Math.round(factor);
+  const out = new Float32Array((n - 1) * steps + 1);
+
+  for (let i = 0; i < n - 1; i++) {
+    // End points are extended by reflection of the neighbouring slope
+    const p0 = i > 0 ? values[i - 1] : 2 * values[i] - values[i + 1];
+    const p1 = values[i];
+    const p2 = values[i + 1];
+    const p3 = i < n - 2 ? values[i + 2] : 2 * values[i + 1] - values[i];
+
+    for (let k = 0; k < steps; k++) {
+      const t = k / steps;
+      out[i * steps + k] = 0.5 * (
+        2 * p1 +
+        (p2 - p0) * t +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t +
+        (3 * (p1 - p2) + p3 - p0) * t * t * t
+      );
+    }
+  }
+  out[out.length - 1] = values[n - 1];
+
+  return out;
+}
@@ -0,0 +1,651 @@
+/**
+ * Session export and import
+ * Converts recorded sessions to and from CSV, JSON and EDF+
+ */
+
+const FORMAT = 'ppg-js-session';
+
+// EDF+ labels for the recorded signals
+const EDF_LABELS = {
+  value: 'Pleth',
+  ac: 'Pleth AC',
+  red: 'Pleth R',
+  green: 'Pleth G',
+  blue: 'Pleth B'
+};
+const EDF_ANNOTATIONS = 'EDF Annotations';
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Create an empty session
+ * @returns {Object} Session
+ */
+function createSession() {
+  return {
+    format: FORMAT,
+    version: 1,
+    startTime: null,
+    sampleRate: null,
+    frames: { time: [], value: [], ac: [], red: [], green: [], blue: [] },
+    metrics: [],
+    events: []
+  };
+}
+
+/**
+ * Quote a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split a CSV line into cells
+ * @param {string} line - CSV line
+ * @returns {Array} Cell strings
+ */
+function csvSplit(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
+
+/**
+ * Parse a CSV cell back to a number, boolean, array or string
+ * @param {string} text - Cell string
+ * @returns {*} Value (null for empty cells)
+ */
+function csvValue(text) {
+  if (text === '') return null;
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text[0] === '[') {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  const number = Number(text);
+  return Number.isNaN(number) && text !== 'NaN' ? text : number;
+}
+
+/**
+ * Flatten nested objects one level deep (channelSNR → channelSNR.red, ...)
+ * @param {Object} entry - Metrics or event entry
+ * @returns {Object} Flat entry
+ */
+function flatten(entry) {
+  const flat = {};
+  Object.keys(entry).forEach(key => {
+    const value = entry[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(sub => {
+        flat[`${key}.${sub}`] = value[sub];
+      });
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Rebuild nested objects from dotted keys
+ * @param {Object} flat - Flat entry
+ * @returns {Object} Entry
+ */
+function unflatten(flat) {
+  const entry = {};
+  Object.keys(flat).forEach(key => {
+    const dot = key.indexOf('.');
+    if (dot > 0) {
+      const parent = key.slice(0, dot);
+      entry[parent] = entry[parent] || {};
+      entry[parent][key.slice(dot + 1)] = flat[key];
+    } else {
+      entry[key] = flat[key];
+    }
+  });
+  return entry;
+}
+
+/**
+ * Write a list of entries as a CSV table with the union of their keys as columns
+ * @param {Array} entries - Entries
+ * @param {Array} leading - Columns to put first
+ * @returns {Array} CSV lines
+ */
+function csvTable(entries, leading) {
+  const flat = entries.map(flatten);
+  const columns = leading.slice();
+  flat.forEach(entry => {
+    Object.keys(entry).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  return [
+    columns.join(','),
+    ...flat.map(entry => columns.map(key => csvCell(entry[key])).join(','))
+  ];
+}
+
+/**
+ * Encode a session as CSV
+ * Three tables (frames, metrics, events), each introduced by a "# name" line
+ *
+ * @param {Object} session - Recorded session
+ * @returns {string} CSV text
+ */
+export function sessionToCSV(session) {
+  const frames = session.frames;
+  const columns = ['time', 'value', 'ac'];
+  if (frames.red.length === frames.time.length && frames.red.length > 0) {
+    columns.push('red', 'green', 'blue');
+  }
+
+  const lines = [
+    `# ${FORMAT},version=${session.version},startTime=${session.startTime || ''},sampleRate=${session.sampleRate || ''}`,
+    '# frames',
+    columns.join(',')
+  ];
+  for (let i = 0; i < frames.time.length; i++) {
+    lines.push(columns.map(key => csvCell(frames[key][i])).join(','));
+  }
+
+  lines.push('', '# metrics', ...csvTable(session.metrics, ['time']));
+  lines.push('', '# events', ...csvTable(session.events, ['time', 'type']));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Decode a CSV session
+ * @param {string} text - CSV text written by sessionToCSV
+ * @returns {Object} Session
+ */
+export function sessionFromCSV(text) {
+  const session = createSession();
+  let section = null;
+  let columns = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line === '') return;
+
+    if (line[0] === '#') {
+      const header = line.slice(1).trim();
+      if (header.startsWith(FORMAT)) {
+        header.split(',').slice(1).forEach(pair => {
+          const [key, value] = pair.split('=');
+          if (key === 'version') session.version = Number(value);
+          if (key === 'startTime') session.startTime = value || null;
+          if (key === 'sampleRate') session.sampleRate = value ? Number(value) : null;
+        });
+      } else {
+        section = header;
+        columns = null;
+      }
+      return;
+    }
+
+    const cells = csvSplit(line);
+    if (!columns) {
+      columns = cells;
+      return;
+    }
+
+    if (section === 'frames') {
+      columns.forEach((key, i) => {
+        if (session.frames[key]) session.frames[key].push(csvValue(cells[i]));
+      });
+    } else if (section === 'metrics' || section === 'events') {
+      const flat = {};
+      columns.forEach((key, i) => {
+        const value = csvValue(cells[i] === undefined ? '' : cells[i]);
+        if (value !== null) flat[key] = value;
+      });
+      session[section].push(unflatten(flat));
+    }
+  });
+
+  return session;
+}
+
+/**
+ * Encode a session as JSON
+ * @param {Object} session - Recorded session
+ * @returns {string} JSON text
+ */
+export function sessionToJSON(session) {
+  return JSON.stringify(session);
+}
+
+/**
+ * Decode a JSON session
+ * @param {string} text - JSON text written by sessionToJSON
+ * @returns {Object} Session
+ */
+export function sessionFromJSON(text) {
+  const data = JSON.parse(text);
+  if (data.format !== FORMAT) {
+    throw new Error('Not a PPG session file');
+  }
+
+  const session = createSession();
+  return {
+    ...session,
+    ...data,
+    frames: { ...session.frames, ...data.frames }
+  };
+}
+
+/**
+ * Write a fixed-width ASCII header field
+ * @param {*} value - Field value
+ * @param {number} width - Field width in bytes
+ * @returns {string} Field
+ */
+function edfField(value, width) {
+  return String(value).replace(/[^\x20-\x7e]/g, '_').slice(0, width).padEnd(width, ' ');
+}
+
+/**
+ * Format a number to fit an 8-character EDF header field
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function edfNumber(value) {
+  for (let digits = 6; digits >= 0; digits--) {
+    const text = value.toFixed(digits);
+    if (text.length <= 8) return text;
+  }
+  return String(Math.round(value)).slice(0, 8);
+}
+
+/**
+ * Linearly interpolate a signal at uniformly spaced times
+ *
+ * @param {Array} values - Sample values
+ * @param {Array} times - Sample times in milliseconds (ascending)
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @param {number} count - Number of output samples
+ * @returns {Float64Array} Resampled values (held at the last value past the end)
+ */
+function resampleAt(values, times, sampleRate, count) {
+  const out = new Float64Array(count);
+  const n = times.length;
+  let j = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = times[0] + (i * 1000) / sampleRate;
+    while (j < n - 2 && times[j + 1] < t) j++;
+
+    if (n < 2 || t >= times[n - 1]) {
+      out[i] = values[n - 1];
+      continue;
+    }
+
+    const span = times[j + 1] - times[j];
+    const frac = span > 0 ? Math.min(Math.max((t - times[j]) / span, 0), 1) : 0;
+    out[i] = values[j] + frac * (values[j + 1] - values[j]);
+  }
+
+  return out;
+}
+
+/**
+ * Encode a session as EDF+ (continuous recording)
+ * The signals are resampled onto a uniform grid at the session frame rate, stored
+ * in 1-second data records, and events are written as annotations. Metrics are
+ * not part of the EDF+ file; use CSV or JSON to keep them.
+ *
+ * @param {Object} session - Recorded session
+ * @returns {ArrayBuffer} EDF+ file
+ */
+export function sessionToEDF(session) {
+  const frames = session.frames;
+  const times = frames.time;
+  if (times.length < 2) {
+    throw new Error('Session is too short to export as EDF+');
+  }
+
+  const sampleRate = Math.max(1, Math.round(session.sampleRate || 0));
+  const t0 = times[0];
+  const duration = (times[times.length - 1] - t0) / 1000;
+  const recordCount = Math.max(1, Math.ceil(duration));
+  const sampleCount = recordCount * sampleRate;
+
+  const keys = Object.keys(EDF_LABELS).filter(key => frames[key].length === times.length);
+  const signals = keys.map(key => {
+    const data = resampleAt(frames[key], times, sampleRate, sampleCount);
+    let min = Infinity;
+    let max = -Infinity;
+    data.forEach(v => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    const margin = (max - min) * 0.01 || 1e-3;
+
+    // Kept as header text; digitization parses it back so values match the stored range
+    const physicalMin = edfNumber(min - margin);
+    const physicalMax = edfNumber(max + margin);
+    return { label: EDF_LABELS[key], data, physicalMin, physicalMax };
+  });
+
+  // Annotations: a time-keeping TAL per record followed by the events in it
+  const records = [];
+  for (let r = 0; r < recordCount; r++) {
+    records.push(`+${r}\x14\x14\x00`);
+  }
+  session.events.forEach(event => {
+    const onset = (event.time - t0) / 1000;
+    if (!(onset >= 0)) return;
+    const r = Math.min(recordCount - 1, Math.floor(onset));
+    const text = String(event.type).replace(/[\x00-\x1f]/g, ' ');
+    records[r] += `+${Number(onset.toFixed(3))}\x14${text}\x14\x00`;
+  });
+  const annotationSamples = Math.max(
+    30,
+    Math.ceil(Math.max(...records.map(record => record.length)) / 2)
+  );
+
+  // Header
+  const start = session.startTime ? new Date(new Date(session.startTime).getTime() + t0) : new Date();
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const signalCount = signals.length + 1;
+  const headerBytes = 256 * (signalCount + 1);
+
+  let header = '';
+  header += edfField('0', 8);
+  header += edfField('X X X X', 80);
+  header += edfField(
+    `Startdate ${pad2(start.getDate())}-${MONTHS[start.getMonth()]}-${start.getFullYear()} X X ppg-js`,
+    80
+  );
+  header += edfField(`${pad2(start.getDate())}.${pad2(start.getMonth() + 1)}.${pad2(start.getFullYear() % 100)}`, 8);
+  header += edfField(`${pad2(start.getHours())}.${pad2(start.getMinutes())}.${pad2(start.getSeconds())}`, 8);
+  header += edfField(headerBytes, 8);
+  header += edfField('EDF+C', 44);
+  header += edfField(recordCount, 8);
+  header += edfField(1, 8);
+  header += edfField(signalCount, 4);
+
+  const all = [
+    ...signals.map(signal => ({
+      ...signal,
+      transducer: 'Camera',
+      dimension: 'nu',
+      samples: sampleRate
+    })),
+    {
+      label: EDF_ANNOTATIONS,
+      transducer: '',
+      dimension: '',
+      physicalMin: '-1',
+      physicalMax: '1',
+      samples: annotationSamples
+    }
+  ];
+  header += all.map(s => edfField(s.label, 16)).join('');
+  header += all.map(s => edfField(s.transducer, 80)).join('');
+  header += all.map(s => edfField(s.dimension, 8)).join('');
+  header += all.map(s => edfField(s.physicalMin, 8)).join('');
+  header += all.map(s => edfField(s.physicalMax, 8)).join('');
+  header += all.map(() => edfField(-32768, 8)).join('');
+  header += all.map(() => edfField(32767, 8)).join('');
+  header += all.map(() => edfField('', 80)).join('');
+  header += all.map(s => edfField(s.samples, 8)).join('');
+  header += all.map(() => edfField('', 32)).join('');
+
+  // Data records
+  const recordBytes = 2 * (signals.length * sampleRate + annotationSamples);
+  const buffer = new ArrayBuffer(headerBytes + recordCount * recordBytes);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < header.length; i++) {
+    bytes[i] = header.charCodeAt(i);
+  }
+
+  let offset = headerBytes;
+  for (let r = 0; r < recordCount; r++) {
+    signals.forEach(signal => {
+      const min = Number(signal.physicalMin);
+      const max = Number(signal.physicalMax);
+      const scale = 65535 / (max - min);
+      for (let i = 0; i < sampleRate; i++) {
+        const v = signal.data[r * sampleRate + i];
+        const digital = Math.round((v - min) * scale) - 32768;
+        view.setInt16(offset, Math.min(32767, Math.max(-32768, digital)), true);
+        offset += 2;
+      }
+    });
+
+    const record = records[r];
+    for (let i = 0; i < annotationSamples * 2; i++) {
+      bytes[offset + i] = i < record.length ? record.charCodeAt(i) : 0;
+    }
+    offset += annotationSamples * 2;
+  }
+
+  return buffer;
+}
+
+/**
+ * Decode an EDF or EDF+ file
+ * Signals labelled by sessionToEDF map back to the session frames; for files from
+ * other tools the first ordinary signal becomes the PPG value
+ *
+ * @param {ArrayBuffer} buffer - EDF file
+ * @returns {Object} Session
+ */
+export function sessionFromEDF(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  let position = 0;
+  const read = (width) => {
+    let text = '';
+    for (let i = 0; i < width; i++) text += String.fromCharCode(bytes[position + i]);
+    position += width;
+    return text.trim();
+  };
+
+  if (bytes.length < 256 || read(8) !== '0') {
+    throw new Error('Not an EDF file');
+  }
+
+  read(80); // Patient
+  read(80); // Recording
+  const date = read(8).split('.').map(Number);
+  const time = read(8).split('.').map(Number);
+  const headerBytes = Number(read(8));
+  read(44); // Reserved (EDF+C / EDF+D)
+  let recordCount = Number(read(8));
+  const recordDuration = Number(read(8));
+  const signalCount = Number(read(4));
+
+  const signals = [];
+  for (let i = 0; i < signalCount; i++) signals.push({});
+  const fields = [
+    ['label', 16], ['transducer', 80], ['dimension', 8],
+    ['physicalMin', 8], ['physicalMax', 8], ['digitalMin', 8], ['digitalMax', 8],
+    ['prefiltering', 80], ['samples', 8], ['reserved', 32]
+  ];
+  fields.forEach(([name, width]) => {
+    signals.forEach(signal => {
+      const text = read(width);
+      signal[name] = name === 'label' || name === 'transducer' || name === 'dimension' ||
+        name === 'prefiltering' || name === 'reserved' ? text : Number(text);
+    });
+  });
+
+  const recordBytes = signals.reduce((sum, signal) => sum + signal.samples * 2, 0);
+  if (!(recordCount > 0)) {
+    recordCount = Math.floor((bytes.length - headerBytes) / recordBytes);
+  }
+
+  signals.forEach(signal => {
+    signal.values = [];
+  });
+  const annotations = [];
+
+  let offset = headerBytes;
+  for (let r = 0; r < recordCount; r++) {
+    signals.forEach(signal => {
+      if (signal.label === EDF_ANNOTATIONS) {
+        let text = '';
+        for (let i = 0; i < signal.samples * 2; i++) text += String.fromCharCode(bytes[offset + i]);
+        annotations.push(text);
+      } else {
+        const gain = (signal.physicalMax - signal.physicalMin) / (signal.digitalMax - signal.digitalMin);
+        for (let i = 0; i < signal.samples; i++) {
+          const digital = view.getInt16(offset + i * 2, true);
+          signal.values.push(signal.physicalMin + (digital - signal.digitalMin) * gain);
+        }
+      }
+      offset += signal.samples * 2;
+    });
+  }
+
+  const session = createSession();
+  const ordinary = signals.filter(signal => signal.label !== EDF_ANNOTATIONS);
+
+  if (ordinary.length > 0) {
+    const primary = ordinary.find(signal => signal.label === EDF_LABELS.value) || ordinary[0];
+    const sampleRate = primary.samples / recordDuration;
+    session.sampleRate = sampleRate;
+
+    for (let i = 0; i < primary.values.length; i++) {
+      session.frames.time.push((i * 1000) / sampleRate);
+    }
+    session.frames.value = primary.values;
+
+    Object.keys(EDF_LABELS).forEach(key => {
+      if (key === 'value') return;
+      const signal = ordinary.find(s => s.label === EDF_LABELS[key]);
+      if (signal && signal.samples === primary.samples) {
+        session.frames[key] = signal.values;
+      }
+    });
+  }
+
+  // Annotation TALs: "+onset[\x15duration]\x14text\x14...\x00"
+  annotations.forEach(record => {
+    record.split('\x00').forEach(tal => {
+      if (!tal) return;
+      const parts = tal.split('\x14');
+      const onset = parseFloat(parts[0].split('\x15')[0]);
+      parts.slice(1).forEach(text => {
+        if (text) session.events.push({ time: onset * 1000, type: text });
+      });
+    });
+  });
+
+  if (date.length === 3 && time.length === 3) {
+    const year = date[2] >= 85 ? 1900 + date[2] : 2000 + date[2];
+    const start = new Date(year, date[1] - 1, date[0], time[0], time[1], time[2]);
+    if (!Number.isNaN(start.getTime())) session.startTime = start.toISOString();
+  }
+
+  return session;
+}
+
+/**
+ * Encode a session as a file
+ *
+ * @param {Object} session - Recorded session
+ * @param {string} [format='json'] - 'csv', 'json' or 'edf'
+ * @returns {Blob} Session file
+ */
+export function encodeSession(session, format = 'json') {
+  switch (String(format).toLowerCase()) {
+    case 'csv':
+      return new Blob([sessionToCSV(session)], { type: 'text/csv' });
+    case 'json':
+      return new Blob([sessionToJSON(session)], { type: 'application/json' });
+    case 'edf':
+    case 'edf+':
+      return new Blob([sessionToEDF(session)], { type: 'application/octet-stream' });
+    default:
+      throw new Error(`Unsupported session format: ${format}`);
+  }
+}
+
+/**
+ * Load a session exported as CSV, JSON or EDF+
+ * The format is detected from the content unless given
+ *
+ * @param {Blob|File|ArrayBuffer|Uint8Array|string} input - Session file or its contents
+ * @param {string} [format] - 'csv', 'json' or 'edf'
+ * @returns {Promise<Object>} Session { startTime, sampleRate, frames, metrics, events }
+ */
+export async function importSession(input, format) {
+  let buffer = null;
+  let text = null;
+
+  if (typeof input === 'string') {
+    text = input;
+  } else if (input instanceof ArrayBuffer) {
+    buffer = input;
+  } else if (ArrayBuffer.isView(input)) {
+    buffer = input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength);
+  } else if (input && typeof input.arrayBuffer === 'function') {
+    buffer = await input.arrayBuffer();
+  } else {
+    throw new Error('Unsupported session input');
+  }
+
+  if (!format) {
+    const head = text !== null ? text.slice(0, 8) :
+      String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength)));
+    if (head.trimStart()[0] === '{') {
+      format = 'json';
+    } else if (head === '0       ') {
+      format = 'edf';
+    } else {
+      format = 'csv';
+    }
+  }
+
+  format = String(format).toLowerCase();
+  if (format === 'edf' || format === 'edf+') {
+    if (buffer === null) throw new Error('EDF sessions must be loaded from binary data');
+    return sessionFromEDF(buffer);
+  }
+
+  if (text === null) {
+    text = new TextDecoder().decode(buffer);
+  }
+  if (format === 'json') return sessionFromJSON(text);
+  if (format === 'csv') return sessionFromCSV(text);
+
+  throw new Error(`Unsupported session format: ${format}`);
+}
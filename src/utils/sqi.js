@@ -0,0 +1,120 @@
+/**
+ * Zero-crossing rate of a zero-mean signal
+ *
+ * @param {Float32Array} signal - Detrended AC signal
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Zero crossings per second
+ */
+export function zeroCrossingRate(signal, sampleRate) {
+  const n = signal.length;
+  if (n < 2) return 0;
+
+  let crossings = 0;
+  for (let i = 1; i < n; i++) {
+    if ((signal[i - 1] < 0 && signal[i] >= 0) || (signal[i - 1] >= 0 && signal[i] < 0)) {
+      crossings++;
+    }
+  }
+
+  return (crossings * sampleRate) / (n - 1);
+}
+
+/**
+ * Pearson correlation of two equally long segments
+ *
+ * @param {Float32Array} a - First segment
+ * @param {Float32Array} b - Second segment
+ * @returns {number} Correlation (-1 to 1)
+ */
+export function correlation(a, b) {
+  const n = a.length;
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < n; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= n;
+  meanB /= n;
+
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - meanA;
+    const db = b[i] - meanB;
+    cov += da * db;
+    varA += da * da;
+    varB += db * db;
+  }
+
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Template-matching correlation (Li & Clifford, 2012)
+ * Beats are cut around their systolic peaks, averaged into a template, and each
+ * beat is correlated with it; consistent pulse shapes score close to 1.
+ *
+ * @param {Float32Array} signal - Detrended AC signal
+ * @param {Array<number>} peaks - Systolic peak indices in the signal
+ * @returns {number|null} Mean correlation, or null with fewer than 3 complete beats
+ */
+export function templateCorrelation(signal, peaks) {
+  if (peaks.length < 3) return null;
+
+  // Beat length: the median peak-to-peak interval
+  const intervals = [];
+  for (let i = 1; i < peaks.length; i++) intervals.push(peaks[i] - peaks[i - 1]);
+  intervals.sort((a, b) => a - b);
+  const length = intervals[Math.floor(intervals.length / 2)];
+  const before = Math.floor(length / 3);
+  if (length < 4) return null;
+
+  const beats = peaks
+    .filter(peak => peak - before >= 0 && peak - before + length <= signal.length)
+    .map(peak => signal.subarray(peak - before, peak - before + length));
+  if (beats.length < 3) return null;
+
+  const template = new Float32Array(length);
+  beats.forEach(beat => {
+    for (let i = 0; i < length; i++) template[i] += beat[i] / beats.length;
+  });
+
+  let sum = 0;
+  beats.forEach(beat => {
+    sum += correlation(beat, template);
+  });
+
+  return sum / beats.length;
+}
+
+/**
+ * Normalised spectral entropy over a frequency band
+ * A clean pulse concentrates its power in a few harmonics (low entropy); noise
+ * spreads it evenly (entropy close to 1).
+ *
+ * @param {Float32Array} psd - Power spectral density
+ * @param {number} freqResolution - Frequency resolution (Hz per bin)
+ * @param {number} lowFreq - Lower band edge (Hz)
+ * @param {number} highFreq - Upper band edge (Hz)
+ * @returns {number|null} Entropy (0-1), or null for a flat spectrum
+ */
+export function spectralEntropy(psd, freqResolution, lowFreq, highFreq) {
+  const start = Math.max(1, Math.ceil(lowFreq / freqResolution));
+  const end = Math.min(psd.length - 1, Math.floor(highFreq / freqResolution));
+  const bins = end - start + 1;
+  if (bins < 2) return null;
+
+  let total = 0;
+  for (let i = start; i <= end; i++) total += psd[i];
+  if (total <= 0) return null;
+
+  let entropy = 0;
+  for (let i = start; i <= end; i++) {
+    const p = psd[i] / total;
+    if (p > 0) entropy -= p * Math.log(p);
+  }
+
+  return entropy / Math.log(bins);
+}
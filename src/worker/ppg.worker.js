@@ -0,0 +1,92 @@
+import { PPGPipeline } from '../PPGPipeline.js';
+
+/**
+ * PPG Worker - runs pixel extraction and signal analysis off the main thread
+ *
+ * Messages in:
+ *   { type: 'init', options }  - Create the pipeline (signal, quality, extraction, contact, artifacts,
+ *                                respiration, spo2, morphology, rhythm and bp options)
+ *   { type: 'frame', frame }   - Process { timestamp, videoFrame | bitmap | pixels | value }
+ *   { type: 'motion', timestamp, acceleration } - Accelerometer reading { x, y, z }
+ *   { type: 'reset' }          - Clear buffers and analysis state
+ *   { type: 'spo2Calibration', calibration } - Replace the SpO2 calibration curve
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'result', result } - Pipeline result for each frame
+ *   { type: 'error', message }
+ */
+
+let pipeline = null;
+let canvas = null;
+let ctx = null;
+
+/**
+ * Read the pixels of a transferred VideoFrame or ImageBitmap
+ *
+ * @param {VideoFrame|ImageBitmap} image - Image to read
+ * @returns {ImageData} Pixels
+ */
+function readPixels(image) {
+  const width = image.displayWidth || image.width;
+  const height = image.displayHeight || image.height;
+
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  ctx.drawImage(image, 0, 0, width, height);
+  image.close();
+
+  return ctx.getImageData(0, 0, width, height);
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'init':
+        pipeline = new PPGPipeline(message.options);
+        self.postMessage({ type: 'ready' });
+        break;
+
+      case 'frame': {
+        const frame = message.frame;
+        let input;
+
+        if (frame.videoFrame || frame.bitmap) {
+          input = { timestamp: frame.timestamp, imageData: readPixels(frame.videoFrame || frame.bitmap) };
+        } else if (frame.pixels) {
+          input = {
+            timestamp: frame.timestamp,
+            imageData: {
+              width: frame.width,
+              height: frame.height,
+              data: new Uint8ClampedArray(frame.pixels)
+            }
+          };
+        } else {
+          input = { timestamp: frame.timestamp, value: frame.value };
+        }
+
+        self.postMessage({ type: 'result', result: pipeline.processFrame(input) });
+        break;
+      }
+
+      case 'motion':
+        if (pipeline) pipeline.addMotion(message.timestamp, message.acceleration);
+        break;
+
+      case 'reset':
+        if (pipeline) pipeline.reset();
+        break;
+
+      case 'spo2Calibration':
+        if (pipeline && pipeline.spo2Estimator) pipeline.spo2Estimator.setCalibration(message.calibration);
+        break;
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};